@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+// PokéDeck Builder on the command line — checks, converts and summarises deck lists without a browser.
+//
+//   pokedeck validate list.txt --format standard
+//   pokedeck convert list.txt --to json
+//   pokedeck stats list.txt
+//
+// Lists are PTCG Live / Limitless text ("-" reads stdin). Cards come from a local JSON file (--cards,
+// default ./cards.json or $POKEDECK_CARDS): an array of pokemontcg.io cards, an API page ({ data }),
+// or a deck backup from the app — the offline database dialog can download one.
+import { readFileSync } from "node:fs";
+import { parseArgs } from "node:util";
+import {
+  parseDeckList, resolveList, localSource, FORMATS, defineFormat, analyze, energyProfile, evolutionLines, EXPORTERS,
+  hyperAtLeast, isBasicPokemon,
+} from "../src/deckkit.js";
+
+const USAGE = `Usage: pokedeck <validate|convert|stats> <list.txt|-> [options]
+
+Options:
+  -f, --format <id>   ${Object.keys(FORMATS).join(" | ")} or a format .json file (default: standard)
+  -t, --to <id>       convert target: ${Object.keys(EXPORTERS).join(" | ")} (default: ptcgl)
+  -c, --cards <file>  card data JSON (default: ./cards.json or $POKEDECK_CARDS)
+  -n, --name <name>   deck name used by exports (default: the list's file name)
+  -h, --help          show this help`;
+
+class CliError extends Error {}
+
+function readJson(file, hint = "card data file", flag = "--cards") {
+  let text;
+  try { text = readFileSync(file, "utf8") } catch { throw new CliError(`Can't read ${hint} "${file}" — pass ${flag} <file>`) }
+  try { return JSON.parse(text) } catch { throw new CliError(`${file} is not valid JSON`) }
+}
+
+function loadCards(file) {
+  const json = readJson(file);
+  const cards = Array.isArray(json) ? json : json?.data || json?.cards;
+  if (!Array.isArray(cards)) throw new CliError(`${file}: expected a list of cards, { data: [...] } or a deck backup`);
+  return cards.filter(c => c?.id && c?.name);
+}
+
+// Resolves the list the same way the import dialog does; ambiguous names take the newest printing
+async function loadDeck(listFile, cards) {
+  const text = readFileSync(listFile === "-" ? 0 : listFile, "utf8");
+  const entries = parseDeckList(text);
+  if (!entries.length) throw new CliError(`No card lines found in ${listFile === "-" ? "stdin" : listFile}`);
+  const report = await resolveList(entries, localSource(cards));
+  const deck = report.flatMap(r => r.card ? Array(r.count).fill(r.card) : []);
+  return { deck, missing: report.filter(r => !r.card), ambiguous: report.filter(r => r.status === "ambiguous") };
+}
+
+// A built-in id, or a league format spec in JSON (the same shape the app's ⚙️ Formats dialog loads)
+function loadFormat(id) {
+  if (FORMATS[id]) return FORMATS[id];
+  if (!/\.json$/i.test(id)) throw new CliError(`Unknown format "${id}" — use ${Object.keys(FORMATS).join(", ")} or a .json file`);
+  try { return defineFormat(readJson(id, "format file", "--format")) } catch (err) { throw err instanceof CliError ? err : new CliError(`${id}: ${err.message}`) }
+}
+
+const pct = p => `${(p * 100).toFixed(1)}%`;
+
+function printLookup({ missing, ambiguous }) {
+  ambiguous.forEach(r => console.error(`  ? ${r.line} — ${r.reason}, using ${r.card.set?.ptcgoCode || r.card.set?.id} ${r.card.number}`));
+  missing.forEach(r => console.error(`  ✕ ${r.line} — not in the card data${r.reason ? ` (${r.reason})` : ""}`));
+}
+
+const commands = {
+  validate({ deck, missing, ambiguous }, { format }) {
+    const a = analyze(deck, format);
+    printLookup({ missing, ambiguous });
+    a.violations.forEach(v => console.log(`  ${v.severity === "error" ? "✕" : "⚠"} [${v.rule}] ${v.message}`));
+    const ok = a.valid && !missing.length;
+    console.log(ok ? `✓ Legal in ${format.name} (${a.total} cards)` : `✕ Not legal in ${format.name}${missing.length ? ` — ${missing.length} lines unresolved` : ""}`);
+    return ok ? 0 : 1;
+  },
+
+  convert({ deck, missing, ambiguous }, { format, to, name }) {
+    printLookup({ missing, ambiguous });
+    process.stdout.write(EXPORTERS[to].render(deck, { name, format: format.name }) + "\n");
+    return missing.length ? 1 : 0;
+  },
+
+  stats({ deck, missing, ambiguous }, { format }) {
+    printLookup({ missing, ambiguous });
+    const a = analyze(deck, format), ep = energyProfile(deck), basics = deck.filter(isBasicPokemon).length;
+    console.log(`${a.total} cards — ${a.pk} Pokémon, ${a.tr} Trainers, ${a.en} Energy (${a.valid ? "legal" : "not legal"} in ${format.name})`);
+    console.log(`Trainers: ${Object.entries(a.tb).filter(([, v]) => v).map(([t, v]) => `${t} ${v}`).join(", ") || "none"}`);
+    console.log(`Pokémon types: ${Object.entries(a.typeD).sort((x, y) => y[1] - x[1]).map(([t, v]) => `${t} ${v}`).join(", ") || "none"} · average HP ${a.avgHP}`);
+    evolutionLines(deck).filter(l => l.members.length > 1 || l.warnings.length).forEach(l =>
+      console.log(`Line ${l.members.map(m => `${m.count} ${m.name}`).join(" → ")}${l.warnings.length ? `  ⚠ ${l.warnings.map(w => w.message).join("; ")}` : ""}`));
+    console.log(`Attack costs: ${Object.entries(ep.costByType).map(([t, v]) => `${t} ${v}`).join(", ") || "none"} · average retreat ${ep.avgRetreat.toFixed(1)}`);
+    if (ep.missing.length) console.log(`  ✕ Attacks need ${ep.missing.join(", ")} Energy the deck doesn't run`);
+    if (ep.unused.length) console.log(`  ⚠ ${ep.unused.join(", ")} Energy isn't used by any attack`);
+    if (ep.splitTotal) console.log(`Suggested basic Energy: ${Object.entries(ep.split).map(([t, n]) => `${n} ${t}`).join(", ")}`);
+    if (a.total) console.log(`Opening hand has a Basic Pokémon: ${pct(hyperAtLeast(a.total, basics, 7))}`);
+    return 0;
+  },
+};
+
+async function main(argv) {
+  const { values: opt, positionals: [cmd, listFile] } = parseArgs({
+    args: argv, allowPositionals: true,
+    options: {
+      format: { type: "string", short: "f", default: "standard" },
+      to: { type: "string", short: "t", default: "ptcgl" },
+      cards: { type: "string", short: "c", default: process.env.POKEDECK_CARDS || "cards.json" },
+      name: { type: "string", short: "n" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+  if (opt.help || !cmd) { console.log(USAGE); return opt.help ? 0 : 2 }
+  if (!commands[cmd]) throw new CliError(`Unknown command "${cmd}"\n\n${USAGE}`);
+  if (!listFile) throw new CliError(`${cmd} needs a deck list file (or "-" for stdin)`);
+  const format = loadFormat(opt.format);
+  if (cmd === "convert" && !EXPORTERS[opt.to]) throw new CliError(`Unknown export target "${opt.to}" — use ${Object.keys(EXPORTERS).join(", ")}`);
+  const name = opt.name || (listFile === "-" ? "Deck" : listFile.replace(/^.*[\\/]/, "").replace(/\.[^.]+$/, ""));
+  const loaded = await loadDeck(listFile, loadCards(opt.cards));
+  return commands[cmd](loaded, { format, to: opt.to, name });
+}
+
+main(process.argv.slice(2)).then(code => { process.exitCode = code }, err => {
+  console.error(err instanceof CliError || err.code?.startsWith?.("ERR_PARSE_ARGS") || err.code === "ENOENT" ? `pokedeck: ${err.message}` : err);
+  process.exitCode = 2;
+});
@@ -1,9 +1,18 @@
 import { useState, useEffect, useCallback, useRef, useMemo } from "react";
+import {
+  POKEMON_TYPES, REG_MARKS, quoteQ, buildQ, matchesFilters, CARD_SORTS, normName, parseDeckList,
+  nameKey, printKey, chunk, byNewest, resolveList, isBasicEnergy, copyKey, stageOf, evolutionLines, FORMATS,
+  analyze, energyProfile, hyperAtLeast, mulberry32, mixSeed, shuffle, isBasicPokemon, simulateOpenings, uid,
+  toEntries, expandEntries, entryCount, sameEntries, guessArchetype, migrateSaved, backupJson, readBackup,
+  mergeSaved, diffDecks, SECTIONS, deckSections, setCode, EXPORTERS, collectionEntry, collectionCsv,
+  collectionFromCsv, collectionReport, deckRequirements, metaRequirements, shoppingList, SHARE_VERSION,
+  encodeShare, decodeShare, validateMeta, matchupReport,
+  attackScaling, calcDamage, hasSub, rotationReport,
+  defineFormat, copyLimitOf, formatFilters, GAME_RESULTS, gameStats, gamesCsv
+} from "./deckkit.js";
 
 // ─── Constants ───────────────────────────────────────────────────────
 const API = "https://api.pokemontcg.io/v2";
-const MAX_DECK = 60, MAX_COPIES = 4;
-const BASIC_ENERGY = ["Grass Energy","Fire Energy","Water Energy","Lightning Energy","Psychic Energy","Fighting Energy","Darkness Energy","Metal Energy","Fairy Energy"];
 const TC = {
   Grass:{bg:"#4CAF50",icon:"🌿"},Fire:{bg:"#F44336",icon:"🔥"},Water:{bg:"#2196F3",icon:"💧"},
   Lightning:{bg:"#FFC107",icon:"⚡"},Psychic:{bg:"#9C27B0",icon:"🔮"},Fighting:{bg:"#795548",icon:"✊"},
@@ -17,6 +26,18 @@ function useDebounce(v, d) {
   return dv;
 }
 
+// useState with an undo/redo stack — updates that return the same value don't record a step
+function useHistory(initial, limit = 100) {
+  const [h, setH] = useState({ past: [], present: initial, future: [] });
+  const set = useCallback(v => setH(p => {
+    const next = typeof v === "function" ? v(p.present) : v;
+    return next === p.present ? p : { past: [...p.past, p.present].slice(-limit), present: next, future: [] };
+  }), [limit]);
+  const undo = useCallback(() => setH(p => p.past.length ? { past: p.past.slice(0, -1), present: p.past[p.past.length - 1], future: [p.present, ...p.future] } : p), []);
+  const redo = useCallback(() => setH(p => p.future.length ? { past: [...p.past, p.present], present: p.future[0], future: p.future.slice(1) } : p), []);
+  return [h.present, set, { undo, redo, canUndo: h.past.length > 0, canRedo: h.future.length > 0 }];
+}
+
 function useWindowSize() {
   const [size, setSize] = useState({ w: typeof window !== 'undefined' ? window.innerWidth : 1200 });
   useEffect(() => {
@@ -27,14 +48,72 @@ function useWindowSize() {
   return size;
 }
 
-// Hardcoded types — these almost never change and avoids a rate-limited API call
-const POKEMON_TYPES = ["Colorless","Darkness","Dragon","Fairy","Fighting","Fire","Grass","Lightning","Metal","Psychic","Water"];
+// Size and scroll offset of a scrolling element, so long lists can render only the rows in view
+function useScrollBox(el) {
+  const [box, setBox] = useState({ width: 0, height: 0, top: 0 });
+  useEffect(() => {
+    if (!el) return;
+    const read = () => setBox({ width: el.clientWidth, height: el.clientHeight, top: el.scrollTop });
+    read();
+    const ro = new ResizeObserver(read);
+    ro.observe(el);
+    el.addEventListener("scroll", read, { passive: true });
+    return () => { ro.disconnect(); el.removeEventListener("scroll", read) };
+  }, [el]);
+  return box;
+}
+
+function useOnlineStatus() {
+  const [online, setOnline] = useState(typeof navigator !== 'undefined' ? navigator.onLine : true);
+  useEffect(() => {
+    const on = () => setOnline(true), off = () => setOnline(false);
+    window.addEventListener('online', on); window.addEventListener('offline', off);
+    return () => { window.removeEventListener('online', on); window.removeEventListener('offline', off) };
+  }, []);
+  return online;
+}
+
+const SUBTYPES = ["Basic","Stage 1","Stage 2","ex","Tera","V","VSTAR","VMAX","Radiant","ACE SPEC","Item","Supporter","Stadium","Pokémon Tool"];
+const RARITIES = ["Common","Uncommon","Rare","Double Rare","Ultra Rare","Illustration Rare","Special Illustration Rare","Hyper Rare","ACE SPEC Rare","Shiny Rare","Promo"];
+
+// Advanced search filters, kept in the page's query string alongside name/type/supertype/set/format
+const ADV_DEFAULTS = { subtypes: [], hpMin: "", hpMax: "", retreatMax: "", weakness: "", text: "", rarity: "", regMark: "", raw: "" };
+
+function readUrlFilters() {
+  const q = new URLSearchParams(typeof location !== "undefined" ? location.search : "");
+  const [hpMin = "", hpMax = ""] = (q.get("hp") || "").split("-");
+  return {
+    name: q.get("name") || "", type: q.get("type") || "", supertype: q.get("super") || "", set: q.get("set") || "",
+    legality: q.has("fmt") ? (q.get("fmt") === "any" ? "" : q.get("fmt")) : "standard",
+    sort: CARD_SORTS[q.get("sort")] ? q.get("sort") : "newest",
+    adv: {
+      ...ADV_DEFAULTS, subtypes: q.get("sub") ? q.get("sub").split(",") : [], hpMin, hpMax, retreatMax: q.get("ret") || "",
+      weakness: q.get("weak") || "", text: q.get("text") || "", rarity: q.get("rarity") || "", regMark: q.get("reg") || "", raw: q.get("raw") || "",
+    },
+  };
+}
+
+function writeUrlFilters({ name, type, supertype, set, legality, sort, adv }) {
+  const q = new URLSearchParams();
+  if (name) q.set("name", name); if (type) q.set("type", type); if (supertype) q.set("super", supertype); if (set) q.set("set", set);
+  if (legality !== "standard") q.set("fmt", legality || "any");
+  if (sort !== "newest") q.set("sort", sort);
+  if (adv.subtypes.length) q.set("sub", adv.subtypes.join(","));
+  if (adv.hpMin || adv.hpMax) q.set("hp", `${adv.hpMin}-${adv.hpMax}`);
+  if (adv.retreatMax !== "") q.set("ret", adv.retreatMax);
+  if (adv.weakness) q.set("weak", adv.weakness); if (adv.text) q.set("text", adv.text);
+  if (adv.rarity) q.set("rarity", adv.rarity); if (adv.regMark) q.set("reg", adv.regMark); if (adv.raw) q.set("raw", adv.raw);
+  const qs = q.toString();
+  history.replaceState(null, "", `${location.pathname}${qs ? `?${qs}` : ""}${location.hash}`);
+}
 
 const delay = ms => new Promise(r => setTimeout(r, ms));
 
 // ─── API Service with caching ───────────────────────────────────────
 const searchCache = new Map();
 const CACHE_TTL = 5 * 60 * 1000;
+const SEARCH_PAGE = 48; // cards per request — the grid asks for the next page as it scrolls
+const LIST_ROW_H = 46;
 const SETS_CACHE_TTL = 24 * 60 * 60 * 1000;
 
 // In production: use /ptcg-api/ path (Vercel rewrites to real API — same origin, no CORS)
@@ -47,6 +126,83 @@ if (IS_PROD) console.log("🔀 Using Vercel rewrite proxy (no CORS)");
 else console.log("🔧 Dev mode — calling API directly");
 if (API_KEY) console.log("✅ API key detected — 20,000 requests/day");
 
+const CARD_FIELDS = "id,name,number,supertype,subtypes,types,hp,images,set,legalities,evolvesFrom,evolvesTo,abilities,attacks,rules,weaknesses,resistances,retreatCost,rarity,regulationMark";
+
+// ─── Offline card store (IndexedDB) ─────────────────────────────────
+// Every card the API returns is kept here; sets synced in full are recorded in "sets" so
+// searches inside them never need the network. All methods resolve to empty results on failure.
+let dbPromise = null;
+
+const cardStore = {
+  open() {
+    if (!dbPromise) dbPromise = new Promise((res, rej) => {
+      if (typeof indexedDB === "undefined") return rej(new Error("IndexedDB unavailable"));
+      const req = indexedDB.open("ptcg-cards", 1);
+      req.onupgradeneeded = () => {
+        const cards = req.result.createObjectStore("cards", { keyPath: "id" });
+        cards.createIndex("name", "name");
+        cards.createIndex("setId", "set.id");
+        cards.createIndex("printing", ["set.ptcgoCode", "number"]);
+        req.result.createObjectStore("sets", { keyPath: "id" });
+      };
+      req.onsuccess = () => res(req.result);
+      req.onerror = () => rej(req.error);
+    });
+    return dbPromise;
+  },
+
+  async run(store, mode, fn) {
+    try {
+      const db = await this.open();
+      return await new Promise((res, rej) => {
+        const tx = db.transaction(store, mode), req = fn(tx.objectStore(store));
+        tx.oncomplete = () => res(req?.result);
+        tx.onerror = () => rej(tx.error);
+      });
+    } catch (err) {
+      console.warn("Card store unavailable:", err);
+      return undefined;
+    }
+  },
+
+  put(cards) {
+    if (!cards.length) return Promise.resolve();
+    return this.run("cards", "readwrite", st => { cards.forEach(c => st.put(c)) });
+  },
+
+  async get(id) { return this.run("cards", "readonly", st => st.get(id)) },
+  async byName(name) { return ((await this.run("cards", "readonly", st => st.index("name").getAll(name))) || []).sort(byNewest) },
+  async bySet(setId) { return ((await this.run("cards", "readonly", st => st.index("setId").getAll(setId))) || []).sort(byNewest) },
+  // Names starting with the typed text, as typed and capitalised — an index range, not a scan of the store
+  async byNamePrefix(prefix) {
+    const starts = [...new Set([prefix, prefix[0].toUpperCase() + prefix.slice(1)])];
+    const hits = await Promise.all(starts.map(p => this.run("cards", "readonly", st => st.index("name").getAll(IDBKeyRange.bound(p, p + "\uffff")))));
+    return [...new Map(hits.flatMap(h => h || []).map(c => [c.id, c])).values()].sort(byNewest);
+  },
+  async byPrinting(code, number) { return (await this.run("cards", "readonly", st => st.index("printing").getAll([code, number]))) || [] },
+  async all() { return ((await this.run("cards", "readonly", st => st.getAll())) || []).sort(byNewest) },
+  async count() { return (await this.run("cards", "readonly", st => st.count())) || 0 },
+
+  async syncedSets() { return (await this.run("sets", "readonly", st => st.getAll())) || [] },
+  async hasSet(setId) { return !!(await this.run("sets", "readonly", st => st.get(setId))) },
+  markSet(set, count) { return this.run("sets", "readwrite", st => st.put({ id: set.id, name: set.name, count, time: Date.now() })) },
+
+  async clear() {
+    await this.run("cards", "readwrite", st => st.clear());
+    await this.run("sets", "readwrite", st => st.clear());
+  },
+
+  // Same filters as buildQ, evaluated locally. A raw query can't be, so it matches nothing here.
+  // scan: false keeps to the set and name indexes (a quick preview) instead of reading the whole store.
+  async query(f, page = 1, ps = 20, sort = "newest", scan = true) {
+    if (f.raw) return { data: [], totalCount: 0, local: true };
+    const name = f.name?.trim();
+    const pool = f.set ? await this.bySet(f.set) : scan ? await this.all() : name ? await this.byNamePrefix(name) : [];
+    const hits = pool.filter(c => matchesFilters(c, f)).sort(CARD_SORTS[sort].cmp);
+    return { data: hits.slice((page - 1) * ps, page * ps), totalCount: hits.length, local: true };
+  },
+};
+
 const svc = {
   async fetchWithRetry(url, signal, retries = 3, backoff = 1500) {
     for (let i = 0; i < retries; i++) {
@@ -79,21 +235,18 @@ const svc = {
     throw new Error('Max retries reached');
   },
 
-  async search(q, page = 1, ps = 20, signal) {
-    const cacheKey = `${q}|${page}|${ps}`;
+  async search(q, page = 1, ps = 20, signal, orderBy = CARD_SORTS.newest.orderBy) {
+    const cacheKey = `${q}|${page}|${ps}|${orderBy}`;
     const cached = searchCache.get(cacheKey);
     if (cached && Date.now() - cached.time < CACHE_TTL) {
       return cached.data;
     }
 
     // Only request fields we actually use — dramatically reduces response size & time
-    const p = new URLSearchParams({
-      page, pageSize: ps,
-      orderBy: "-set.releaseDate",
-      select: "id,name,supertype,subtypes,types,hp,images,set,legalities,evolvesFrom,evolvesTo,attacks,weaknesses,resistances,retreatCost,rarity"
-    });
+    const p = new URLSearchParams({ page, pageSize: ps, orderBy, select: CARD_FIELDS });
     if (q) p.set("q", q);
     const data = await this.fetchWithRetry(`${BASE_URL}/cards?${p}`, signal);
+    cardStore.put(data.data || []);
 
     searchCache.set(cacheKey, { data, time: Date.now() });
     if (searchCache.size > 100) {
@@ -127,160 +280,364 @@ const svc = {
     return sets;
   },
 
-  buildQ({ name, type, supertype, set, legality }) {
-    const p = [];
-    if (name) p.push(`name:"${name}*"`); if (type) p.push(`types:${type}`);
-    if (supertype) p.push(`supertype:${supertype}`); if (set) p.push(`set.id:${set}`);
-    if (legality === "standard") p.push("legalities.standard:legal");
-    if (legality === "expanded") p.push("legalities.expanded:legal");
-    return p.join(" ");
-  }
+  // Filter search that reads the offline store first: fully synced sets are answered locally. For anything
+  // else the stored cards the set or name index finds go to onCached (when given) right away, then the API
+  // revalidates them; if the network fails a full scan of the store answers instead.
+  async searchCards(filters, page, ps, signal, sort = "newest", onCached) {
+    if (filters.set && await cardStore.hasSet(filters.set)) return cardStore.query(filters, page, ps, sort);
+    if (onCached) {
+      const local = await cardStore.query(filters, page, ps, sort, false);
+      if (local.data.length && !signal?.aborted) onCached(local);
+    }
+    try {
+      return await this.search(buildQ(filters), page, ps, signal, CARD_SORTS[sort].orderBy);
+    } catch (err) {
+      if (err.name === 'AbortError') throw err;
+      const local = await cardStore.query(filters, page, ps, sort);
+      if (!local.totalCount) throw err;
+      return local;
+    }
+  },
+
+  async syncSet(set, onProgress) {
+    let page = 1, fetched = 0, total = set.total || 0;
+    do {
+      const p = new URLSearchParams({ page, pageSize: 250, q: `set.id:${set.id}`, select: CARD_FIELDS });
+      const r = await this.fetchWithRetry(`${BASE_URL}/cards?${p}`);
+      await cardStore.put(r.data || []);
+      fetched += (r.data || []).length; total = r.totalCount || fetched;
+      onProgress?.(fetched, total);
+      if (!(r.data || []).length) break;
+      page++;
+    } while (fetched < total);
+    await cardStore.markSet(set, fetched);
+    return fetched;
+  },
+
 };
 
-function analyze(deck) {
-  const pk = deck.filter(c => c.supertype === "Pokémon"), tr = deck.filter(c => c.supertype === "Trainer"), en = deck.filter(c => c.supertype === "Energy");
-  const typeD = {}; pk.forEach(c => (c.types || ["Colorless"]).forEach(t => { typeD[t] = (typeD[t] || 0) + 1 }));
-  const hp = { low: 0, mid: 0, high: 0, vh: 0 };
-  pk.forEach(c => { const h = parseInt(c.hp) || 0; if (h <= 70) hp.low++; else if (h <= 120) hp.mid++; else if (h <= 200) hp.high++; else hp.vh++ });
-  const tb = { Item: 0, Supporter: 0, Stadium: 0, Tool: 0, Other: 0 };
-  tr.forEach(c => { const s = (c.subtypes || [])[0]; if (tb[s] !== undefined) tb[s]++; else tb.Other++ });
-  const issues = []; if (deck.length !== 60) issues.push(`${deck.length}/60 cards`);
-  const nc = {}; deck.forEach(c => { nc[c.name] = (nc[c.name] || 0) + 1 });
-  Object.entries(nc).forEach(([n, ct]) => { if (ct > MAX_COPIES && !BASIC_ENERGY.includes(n)) issues.push(`${n}: ${ct}× (max ${MAX_COPIES})`) });
-  if (!pk.length) issues.push("No Pokémon"); if (!en.length && deck.length > 0) issues.push("No Energy");
-  const avgHP = pk.length ? Math.round(pk.reduce((s, c) => s + (parseInt(c.hp) || 0), 0) / pk.length) : 0;
-  return { total: deck.length, pk: pk.length, tr: tr.length, en: en.length, typeD, hp, tb, issues, avgHP, valid: deck.length === 60 && !issues.some(i => i.includes("max")) && pk.length > 0 };
-}
+// ─── Batch card resolver ────────────────────────────────────────────
+// Looks up many names (or set code + number pairs) with a few OR-ed queries instead of one request per card.
+// Name results are remembered for the session, so loading a second archetype only asks for names not seen yet.
+const RESOLVE_CHUNK = 12;
+const nameHits = new Map(); // nameKey → cards, newest first
+const resolver = {
+  // Every page of a query. A batch that would need more than maxPages pages fails as a whole rather than
+  // coming back cut short — a truncated result would pass off real matches as missing or older printings.
+  async fetchAll(q, maxPages = 40) {
+    const out = [];
+    for (let page = 1; ; page++) {
+      const r = await svc.search(q, page, 250);
+      out.push(...(r.data || []));
+      if (out.length >= (r.totalCount || 0) || !(r.data || []).length) return out;
+      if (page >= maxPages) throw new Error(`Lookup truncated: ${r.totalCount} results, stopped at ${out.length}`);
+    }
+  },
 
-const META = [
-  {
-    name: "Dragapult ex", tier: "S", type: "Psychic",
-    desc: "Top-tier spread damage deck using Phantom Dive to soften multiple Pokémon, then clean up with powerful attacks. Extremely consistent with Pidgeot ex for search.",
-    pokemon: [
-      { name: "Dragapult ex", count: 2 }, { name: "Drakloak", count: 3 }, { name: "Dreepy", count: 4 },
-      { name: "Pidgeot ex", count: 2 }, { name: "Pidgey", count: 2 }, { name: "Mew ex", count: 1 },
-    ],
-    trainers: [
-      { name: "Professor's Research", count: 4 }, { name: "Iono", count: 3 }, { name: "Boss's Orders", count: 2 },
-      { name: "Ultra Ball", count: 4 }, { name: "Nest Ball", count: 3 }, { name: "Rare Candy", count: 4 },
-      { name: "Super Rod", count: 2 }, { name: "Switch", count: 2 }, { name: "Lost Vacuum", count: 1 },
-      { name: "Forest Seal Stone", count: 1 }, { name: "Pal Pad", count: 1 },
-    ],
-    energy: [
-      { name: "Psychic Energy", count: 8 }, { name: "Jet Energy", count: 2 },
-    ],
-    tips: "Set up Dragapult ex ASAP with Rare Candy. Use Phantom Dive every turn to stack damage. Pidgeot ex keeps your engine running.",
+  // names → Map(nameKey → cards). onProgress(keys) fires as each batch of names settles.
+  async byNames(names, onProgress) {
+    const keys = [...new Set(names.map(nameKey))], out = new Map();
+    keys.forEach(k => { if (nameHits.has(k)) out.set(k, nameHits.get(k)) });
+    onProgress?.(keys.filter(k => out.has(k)));
+    await this.lookupNames(keys.filter(k => !out.has(k)), names, out, onProgress);
+    return out;
   },
-  {
-    name: "Gholdengo ex", tier: "S", type: "Metal",
-    desc: "Self-sustaining draw engine via Gimmighoul's Coin Bonus ability. Gholdengo ex hits hard while maintaining hand size. Very consistent.",
-    pokemon: [
-      { name: "Gholdengo ex", count: 3 }, { name: "Gimmighoul", count: 4 },
-      { name: "Mew ex", count: 1 }, { name: "Lumineon V", count: 1 },
-    ],
-    trainers: [
-      { name: "Professor's Research", count: 4 }, { name: "Iono", count: 4 }, { name: "Boss's Orders", count: 3 },
-      { name: "Ultra Ball", count: 4 }, { name: "Level Ball", count: 4 },
-      { name: "Super Rod", count: 2 }, { name: "Switch", count: 2 }, { name: "Energy Recycler", count: 1 },
-      { name: "Lost Vacuum", count: 1 }, { name: "Pal Pad", count: 1 },
-    ],
-    energy: [
-      { name: "Metal Energy", count: 10 }, { name: "Jet Energy", count: 1 },
-    ],
-    tips: "Flood the bench with Gimmighoul early. Evolve into Gholdengo ex and use Make It Rain for big damage while drawing cards with Coin Bonus.",
+
+  // Like byNames but skips the session cache, so printings fetched before a field existed come back
+  // complete (regulationMark)
+  async freshByNames(names, onProgress) {
+    const out = new Map();
+    await this.lookupNames([...new Set(names.map(nameKey))], names, out, onProgress);
+    return out;
   },
-  {
-    name: "Charizard ex", tier: "A", type: "Fire",
-    desc: "Infernal Reign powers up your board fast. Pair with Pidgeot ex for consistent search every turn. Heavy hitter that's hard to one-shot.",
-    pokemon: [
-      { name: "Charizard ex", count: 3 }, { name: "Charmeleon", count: 1 }, { name: "Charmander", count: 4 },
-      { name: "Pidgeot ex", count: 2 }, { name: "Pidgey", count: 2 },
-      { name: "Manaphy", count: 1 }, { name: "Lumineon V", count: 1 },
-    ],
-    trainers: [
-      { name: "Professor's Research", count: 3 }, { name: "Iono", count: 3 }, { name: "Boss's Orders", count: 2 },
-      { name: "Arven", count: 2 },
-      { name: "Ultra Ball", count: 4 }, { name: "Rare Candy", count: 4 }, { name: "Nest Ball", count: 2 },
-      { name: "Super Rod", count: 2 }, { name: "Switch", count: 2 },
-      { name: "Forest Seal Stone", count: 1 }, { name: "Lost Vacuum", count: 1 },
-    ],
-    energy: [
-      { name: "Fire Energy", count: 12 },
-    ],
-    tips: "Rush Charizard ex with Rare Candy. Use Infernal Reign to attach energy to benched Pokémon. Pidgeot ex guarantees you find what you need every turn.",
+
+  // Asks the API for every printing of each name. The store only answers when offline or when a batch
+  // fails: it holds whichever printings happened to be fetched, so a hit there isn't the full set.
+  async lookupNames(keys, names, out, onProgress) {
+    const original = Object.fromEntries(names.map(n => [nameKey(n), normName(n)])), stored = [], offline = !navigator.onLine;
+    if (offline) stored.push(...keys);
+    else for (const group of chunk(keys, RESOLVE_CHUNK)) {
+      try {
+        const cards = await this.fetchAll(group.map(k => `name:${quoteQ(original[k])}`).join(" OR "));
+        group.forEach(k => {
+          const hits = cards.filter(c => nameKey(c.name) === k).sort(byNewest);
+          if (hits.length) { out.set(k, hits); nameHits.set(k, hits) }
+        });
+      } catch (err) {
+        if (err.name === 'AbortError') throw err;
+        console.error("Batch name lookup failed:", err);
+        stored.push(...group);
+      }
+      onProgress?.(group);
+    }
+    for (const k of stored) { const hits = await cardStore.byName(original[k]); if (hits.length) out.set(k, hits) }
+    if (offline) onProgress?.(stored);
   },
-  {
-    name: "Gardevoir ex", tier: "A", type: "Psychic",
-    desc: "Psychic Embrace lets you attach Psychic Energy from discard to your Pokémon (at the cost of damage counters). Flexible attacker choices.",
-    pokemon: [
-      { name: "Gardevoir ex", count: 3 }, { name: "Kirlia", count: 4 }, { name: "Ralts", count: 4 },
-      { name: "Scream Tail", count: 2 }, { name: "Mew ex", count: 1 }, { name: "Munkidori", count: 1 },
-    ],
-    trainers: [
-      { name: "Professor's Research", count: 4 }, { name: "Iono", count: 3 }, { name: "Boss's Orders", count: 2 },
-      { name: "Level Ball", count: 4 }, { name: "Ultra Ball", count: 2 }, { name: "Fog Crystal", count: 4 },
-      { name: "Rare Candy", count: 3 }, { name: "Super Rod", count: 2 },
-      { name: "Switch", count: 1 }, { name: "Pal Pad", count: 1 },
-    ],
-    energy: [
-      { name: "Psychic Energy", count: 11 },
-    ],
-    tips: "Get multiple Kirlia on bench ASAP — they draw cards with Refinement. Use Psychic Embrace to fuel attackers from discard. Scream Tail hits hard as a single-prizer.",
+
+  // card ids → Map(id → card)
+  async byIds(ids) {
+    const out = new Map(), todo = [];
+    for (const id of new Set(ids)) { const c = await cardStore.get(id); if (c) out.set(id, c); else todo.push(id) }
+    for (const group of chunk(todo, RESOLVE_CHUNK * 2)) {
+      try {
+        (await this.fetchAll(group.map(id => `id:${quoteQ(id)}`).join(" OR "))).forEach(c => out.set(c.id, c));
+      } catch (err) {
+        if (err.name === 'AbortError') throw err;
+        console.error("Batch id lookup failed:", err);
+      }
+    }
+    return out;
   },
-  {
-    name: "Raging Bolt ex", tier: "A", type: "Lightning",
-    desc: "Ancient Pokémon that deals massive damage scaling with energy. Pair with Ogerpon ex for energy acceleration.",
-    pokemon: [
-      { name: "Raging Bolt ex", count: 4 }, { name: "Ogerpon ex", count: 2 },
-      { name: "Squawkabilly ex", count: 1 },
-    ],
-    trainers: [
-      { name: "Professor's Research", count: 4 }, { name: "Iono", count: 4 }, { name: "Boss's Orders", count: 2 },
-      { name: "Explorer's Guidance", count: 4 },
-      { name: "Ultra Ball", count: 4 }, { name: "Nest Ball", count: 4 },
-      { name: "Switch", count: 3 }, { name: "Super Rod", count: 2 },
-      { name: "Maximum Belt", count: 2 }, { name: "Lost Vacuum", count: 1 },
-      { name: "Pokéstop", count: 2 },
-    ],
-    energy: [
-      { name: "Lightning Energy", count: 12 }, { name: "Grass Energy", count: 2 },
-    ],
-    tips: "Stack energy on Raging Bolt ex using Explorer's Guidance and Ogerpon ex. Each energy adds 70 damage. Maximum Belt helps hit KO thresholds on ex Pokémon.",
+
+  // [{ setCode, number }] → Map(printKey → cards)
+  async byPrintings(pairs, onProgress) {
+    const uniq = [...new Map(pairs.map(p => [printKey(p.setCode, p.number), p])).values()], out = new Map(), todo = [];
+    for (const p of uniq) {
+      const hits = await cardStore.byPrinting(p.setCode, p.number);
+      if (hits.length) out.set(printKey(p.setCode, p.number), hits); else todo.push(p);
+    }
+    onProgress?.([...out.keys()]);
+    for (const group of chunk(todo, RESOLVE_CHUNK)) {
+      try {
+        const cards = await this.fetchAll(group.map(p => `(set.ptcgoCode:${quoteQ(p.setCode)} number:${quoteQ(p.number)})`).join(" OR "));
+        cards.forEach(c => {
+          const k = printKey(c.set?.ptcgoCode || "", c.number || "");
+          if (group.some(p => printKey(p.setCode, p.number) === k)) out.set(k, [...(out.get(k) || []), c]);
+        });
+      } catch (err) {
+        if (err.name === 'AbortError') throw err;
+        console.error("Batch printing lookup failed:", err);
+      }
+      onProgress?.(group.map(p => printKey(p.setCode, p.number)));
+    }
+    return out;
   },
-];
+};
+
+// ─── Downloads & print sheets ───────────────────────────────────────
+function downloadFile(name, text, mime) {
+  const url = URL.createObjectURL(new Blob([text], { type: `${mime};charset=utf-8` }));
+  const link = Object.assign(document.createElement("a"), { href: url, download: name });
+  document.body.appendChild(link); link.click(); link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+const escHtml = v => String(v ?? "").replace(/[&<>"]/g, ch => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[ch]);
+
+// Play! Pokémon deck registration sheet as a standalone print-ready page (print or "Save as PDF")
+function registrationSheetHtml(deck, { name, format, player = {} }) {
+  const sec = deckSections(deck);
+  const table = (st, cols) => `
+    <h2>${st} <span>${sec[st].reduce((s, e) => s + e.count, 0)}</span></h2>
+    <table><thead><tr><th class="q">QTY</th><th>NAME</th>${cols ? "<th>SET</th><th>COLL #</th>" : ""}</tr></thead><tbody>
+      ${sec[st].map(({ card: c, count }) => `<tr><td class="q">${count}</td><td>${escHtml(c.name)}</td>${cols ? `<td>${escHtml(setCode(c))}</td><td>${escHtml(c.number)}</td>` : ""}</tr>`).join("")}
+    </tbody></table>`;
+  const field = (label, value) => `<div class="f"><label>${label}</label><div>${escHtml(value) || "&nbsp;"}</div></div>`;
+  return `<!DOCTYPE html><html><head><meta charset="utf-8"><title>Deck Registration — ${escHtml(name)}</title><style>
+    @page{size:letter;margin:12mm}*{box-sizing:border-box}body{font:11px/1.35 Arial,sans-serif;color:#000;margin:0}
+    h1{font-size:18px;margin:0 0 8px;text-align:center;letter-spacing:.04em}
+    .fields{display:grid;grid-template-columns:2fr 1fr 1fr 1fr;gap:6px;margin-bottom:10px}.f label{font-size:9px;text-transform:uppercase;color:#444}.f div{border-bottom:1px solid #000;min-height:18px;padding:2px 0}
+    .div{display:flex;gap:14px;margin-bottom:10px;font-size:11px}.div span:before{content:"☐ "}.div span.on:before{content:"☒ "}
+    h2{font-size:12px;background:#000;color:#fff;padding:3px 6px;margin:10px 0 0;display:flex;justify-content:space-between}
+    table{width:100%;border-collapse:collapse}td,th{border:1px solid #000;padding:2px 5px;text-align:left}th{font-size:9px;background:#eee}.q{width:40px;text-align:center}
+    .foot{margin-top:10px;font-size:10px;display:flex;justify-content:space-between}
+  </style></head><body>
+    <h1>PLAY! POKÉMON DECK REGISTRATION SHEET</h1>
+    <div class="fields">${field("Player Name", player.name)}${field("Player ID", player.id)}${field("Date of Birth", player.dob)}${field("Format", format)}</div>
+    <div class="div">Age division: ${["Junior", "Senior", "Masters"].map(d => `<span class="${player.division === d ? "on" : ""}">${d}</span>`).join("")}</div>
+    ${table("Pokémon", true)}${table("Trainer", false)}${table("Energy", false)}
+    <div class="foot"><span>Deck: ${escHtml(name)}</span><span>Total cards: ${deck.length}</span></div>
+    <script>window.onload=()=>window.print()<\/script>
+  </body></html>`;
+}
+
+// ─── Proxy sheets ───────────────────────────────────────────────────
+// Card scans at real size (63×88 mm), 3×3 per page, with cut marks outside the grid
+const CARD_W = 63, CARD_H = 88;
+
+function proxySheetHtml(cards, { watermark = true } = {}) {
+  const pages = chunk(cards, 9);
+  const marks = [
+    ...[0, 1, 2, 3].flatMap(i => [`<i class="v" style="left:${i * CARD_W}mm;top:-6mm"></i>`, `<i class="v" style="left:${i * CARD_W}mm;bottom:-6mm"></i>`]),
+    ...[0, 1, 2, 3].flatMap(i => [`<i class="h" style="top:${i * CARD_H}mm;left:-6mm"></i>`, `<i class="h" style="top:${i * CARD_H}mm;right:-6mm"></i>`]),
+  ].join("");
+  return `<!DOCTYPE html><html><head><meta charset="utf-8"><title>Proxies (${cards.length} cards)</title><style>
+    @page{margin:6mm}*{box-sizing:border-box}body{margin:0;font-family:Arial,sans-serif}
+    .page{position:relative;width:${CARD_W * 3}mm;height:${CARD_H * 3}mm;margin:7mm auto;display:grid;grid-template-columns:repeat(3,${CARD_W}mm);grid-auto-rows:${CARD_H}mm;page-break-after:always;break-after:page}
+    .page:last-child{page-break-after:auto;break-after:auto}
+    .c{position:relative;width:${CARD_W}mm;height:${CARD_H}mm;overflow:hidden;outline:.1mm dashed #bbb}
+    .c img{width:100%;height:100%;object-fit:cover;display:block}
+    .c b{position:absolute;left:50%;bottom:2.5mm;transform:translateX(-50%);font-size:6pt;letter-spacing:.2em;color:#fff;background:rgba(0,0,0,.55);padding:.3mm 1.5mm;border-radius:1mm}
+    i{position:absolute;background:#000}i.v{width:.2mm;height:5mm;margin-left:-.1mm}i.h{height:.2mm;width:5mm;margin-top:-.1mm}
+    @media print{.page{margin:0 auto}}
+  </style></head><body>
+    ${pages.map(pg => `<div class="page">${marks}${pg.map(c => `<div class="c"><img src="${escHtml(c.images?.large || c.images?.small)}" alt="${escHtml(c.name)}">${watermark ? "<b>PROXY</b>" : ""}</div>`).join("")}</div>`).join("")}
+    <script>window.onload=()=>window.print()<\/script>
+  </body></html>`;
+}
+
+// ─── Meta snapshots (public/meta.json) ──────────────────────────────
+// meta.json is the current snapshot ({ lastUpdated, label?, format?, archetypes }) and may list more
+// under "snapshots": [{ id, label, format?, file }], each file in the same shape.
+const META_URL = "/meta.json";
+const metaCache = new Map();
+
+async function fetchMeta(url) {
+  if (metaCache.has(url)) return metaCache.get(url);
+  const r = await fetch(url, { cache: "no-cache" });
+  if (!r.ok) throw new Error(`${url}: HTTP ${r.status}`);
+  let json;
+  try { json = await r.json() } catch { throw new Error(`${url} is not valid JSON`) }
+  metaCache.set(url, json);
+  return json;
+}
+
+function metaSnapshots(json) {
+  const current = { id: "current", label: json.label || "Current", format: json.format || null, file: META_URL };
+  const extra = (Array.isArray(json.snapshots) ? json.snapshots : []).filter(sn => sn && typeof sn.id === "string" && typeof sn.file === "string");
+  return [current, ...extra.map(sn => ({ id: sn.id, label: sn.label || sn.id, format: sn.format || null, file: sn.file }))];
+}
+
+// ─── Modal chrome ───────────────────────────────────────────────────
+// Module-level so modal contents keep their state (and input focus) across App re-renders
+function Overlay({ children, onClose, isMobile }) {
+  return (
+    <div onClick={onClose} style={{ position: "fixed", inset: 0, background: "rgba(0,0,0,.7)", backdropFilter: "blur(8px)", display: "flex", alignItems: "center", justifyContent: "center", zIndex: 200, padding: isMobile ? 12 : 20 }}>
+      <div onClick={e => e.stopPropagation()} style={{ background: "#1e293b", borderRadius: isMobile ? 14 : 16, padding: isMobile ? 18 : 24, width: "100%", maxWidth: isMobile ? "100%" : 680, maxHeight: isMobile ? "92vh" : "85vh", overflow: "auto", border: "1px solid rgba(255,255,255,.1)", boxShadow: "0 20px 60px rgba(0,0,0,.5)", WebkitOverflowScrolling: "touch" }}>
+        {children}
+      </div>
+    </div>
+  );
+}
+
+function ModalHeader({ title, onClose, isMobile }) {
+  return (
+    <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 16 }}>
+      <h3 style={{ fontSize: isMobile ? 18 : 17, fontWeight: 700, margin: 0 }}>{title}</h3>
+      <button onClick={onClose} style={{ width: 36, height: 36, borderRadius: 10, border: "none", background: "rgba(255,255,255,.06)", color: "#64748b", fontSize: 18, cursor: "pointer", display: "flex", alignItems: "center", justifyContent: "center" }}>✕</button>
+    </div>
+  );
+}
 
 // ═════════════════════════════════════════════════════════════════════
 export default function App() {
   const { w } = useWindowSize();
+  const online = useOnlineStatus();
   const isMobile = w < 768;
   const isTablet = w >= 768 && w < 1100;
 
   const [cards, setCards] = useState([]);
   const [loading, setLoading] = useState(false);
-  const [searchName, setSearchName] = useState("");
-  const [fType, setFType] = useState("");
-  const [fSuper, setFSuper] = useState("");
-  const [fSet, setFSet] = useState("");
-  const [fLeg, setFLeg] = useState("standard");
+  const [urlFilters] = useState(readUrlFilters);
+  const [searchName, setSearchName] = useState(urlFilters.name);
+  const [fType, setFType] = useState(urlFilters.type);
+  const [fSuper, setFSuper] = useState(urlFilters.supertype);
+  const [fSet, setFSet] = useState(urlFilters.set);
+  const [fLeg, setFLeg] = useState(urlFilters.legality);
+  const [adv, setAdv] = useState(urlFilters.adv);
+  const [showAdv, setShowAdv] = useState(() => JSON.stringify(urlFilters.adv) !== JSON.stringify(ADV_DEFAULTS));
   const [sets, setSets] = useState([]);
   const [types, setTypes] = useState([]);
-  const [page, setPage] = useState(1);
-  const [totalPages, setTotalPages] = useState(1);
-  const [deck, setDeck] = useState([]);
+  const [page, setPage] = useState(1); // last page appended to `cards`
+  const [totalCount, setTotalCount] = useState(0);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [moreError, setMoreError] = useState(false);
+  const [sort, setSort] = useState(urlFilters.sort);
+  const [setSynced, setSetSynced] = useState(false); // the set filter is fully in the card store
+  const [cardView, setCardView] = useState(() => localStorage.getItem("ptcg-card-view") || "grid"); // grid | list
+  const [deck, setDeck, deckHistory] = useHistory([]);
   const [deckName, setDeckName] = useState("My Deck");
-  const [savedDecks, setSavedDecks] = useState(() => { try { return JSON.parse(localStorage.getItem("ptcg-decks") || "[]") } catch { return [] } });
+  const [deckFormat, setDeckFormat] = useState(() => localStorage.getItem("ptcg-format") || "standard");
+  // League formats loaded from JSON files, kept as the specs the user gave (see defineFormat)
+  const [customFormats, setCustomFormats] = useState(() => { try { return JSON.parse(localStorage.getItem("ptcg-formats") || "[]") } catch { return [] } });
+  const formats = useMemo(() => {
+    const out = { ...FORMATS };
+    customFormats.forEach(spec => { try { if (!FORMATS[spec.id]) out[spec.id] = { ...defineFormat(spec), custom: true } } catch {} });
+    return out;
+  }, [customFormats]);
+  const fmt = formats[deckFormat] || FORMATS.standard;
+  const [savedBoot] = useState(() => { try { return migrateSaved(JSON.parse(localStorage.getItem("ptcg-decks") || "[]")) } catch { return migrateSaved([]) } });
+  const [savedDecks, setSavedDecks] = useState(savedBoot.decks);
+  const [savedCards, setSavedCards] = useState(savedBoot.cards); // card id → card, for expanding saved versions
+  const [currentDeckId, setCurrentDeckId] = useState(null); // saved deck the builder is editing, if any
   const [modal, setModal] = useState(null);
   const [selCard, setSelCard] = useState(null);
   const [tab, setTab] = useState("search"); // search | meta
-  const [mobileView, setMobileView] = useState("search"); // search | deck | stats
+  const [mobileView, setMobileView] = useState("search"); // search | deck | stats | test
   const [importText, setImportText] = useState("");
   const [showFilters, setShowFilters] = useState(!isMobile);
   const [error, setError] = useState(null);
+  const [fromStore, setFromStore] = useState(false); // last results came from the offline card store
   const dn = useDebounce(searchName, 700);
+  const dAdv = useDebounce(adv, 700);
+  const setAdvField = (k, v) => setAdv(p => ({ ...p, [k]: v }));
+  const advActive = JSON.stringify(adv) !== JSON.stringify(ADV_DEFAULTS);
+  const clearFilters = () => { setFType(""); setFSuper(""); setFSet(""); setFLeg("standard"); setAdv(ADV_DEFAULTS) };
+
+  useEffect(() => { writeUrlFilters({ name: dn, type: fType, supertype: fSuper, set: fSet, legality: fLeg, sort, adv: dAdv }) }, [dn, fType, fSuper, fSet, fLeg, sort, dAdv]);
+  useEffect(() => { try { localStorage.setItem("ptcg-card-view", cardView) } catch {} }, [cardView]);
   const gridRef = useRef(null);
+  const [gridEl, setGridEl] = useState(null);
+  const bindGrid = useCallback(el => { gridRef.current = el; setGridEl(el) }, []);
 
   useEffect(() => { try { localStorage.setItem("ptcg-decks", JSON.stringify(savedDecks)) } catch {} }, [savedDecks]);
 
+  // Cards pulled out of old full-object saves go to the card store; anything else saved decks need is looked up there
+  useEffect(() => { if (savedBoot.cards.size) cardStore.put([...savedBoot.cards.values()]).catch(() => {}) }, []);
+  useEffect(() => {
+    const ids = [...new Set(savedDecks.flatMap(d => d.versions.flatMap(v => v.entries.map(([id]) => id))))].filter(id => !savedCards.has(id));
+    if (!ids.length) return;
+    let live = true;
+    resolver.byIds(ids).then(found => { if (live && found.size) setSavedCards(p => new Map([...p, ...found])) }).catch(() => {});
+    return () => { live = false };
+  }, [savedDecks]);
+  const versionCards = useCallback(v => expandEntries(v.entries, savedCards), [savedCards]);
+
+  // Clear, import and meta load swap the whole list — offer the old one back from the toast
+  const deckSnap = useRef(null);
+  deckSnap.current = { deck, deckName, currentDeckId };
+  const replaceDeck = useCallback((next, what) => {
+    const prev = deckSnap.current;
+    setDeck(next);
+    if (prev.deck.length) setToast({
+      text: `${what} — "${prev.deckName}" (${prev.deck.length} cards) can still be restored`, tone: "#94a3b8",
+      action: { label: "↩ Restore previous deck", run: () => { setDeck(prev.deck); setDeckName(prev.deckName); setCurrentDeckId(prev.currentDeckId) } },
+    });
+  }, []);
+
+  useEffect(() => {
+    const onKey = e => {
+      if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== "z" && e.key.toLowerCase() !== "y") return;
+      if (e.target.closest?.("input, textarea, select, [contenteditable]")) return; // keep native text undo
+      e.preventDefault();
+      if (e.shiftKey || e.key.toLowerCase() === "y") deckHistory.redo(); else deckHistory.undo();
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [deckHistory.undo, deckHistory.redo]);
+  useEffect(() => { try { localStorage.setItem("ptcg-format", deckFormat) } catch {} }, [deckFormat]);
+  useEffect(() => { try { localStorage.setItem("ptcg-formats", JSON.stringify(customFormats)) } catch {} }, [customFormats]);
+
+  // Switching format moves the search's legality filter along with it; it can still be changed by hand afterwards
+  const changeFormat = id => { setDeckFormat(id); setFLeg(formatFilters(formats[id] || FORMATS.standard).legality) };
+
+  const importFormat = async file => {
+    try {
+      const spec = JSON.parse(await file.text()), f = defineFormat(spec);
+      if (FORMATS[f.id]) throw new Error(`"${f.id}" is a built-in format — pick another id`);
+      setCustomFormats(p => [...p.filter(x => x.id !== f.id), spec]);
+      changeFormat(f.id);
+      setToast({ text: `Format "${f.name}" loaded`, tone: "#10b981" });
+    } catch (err) {
+      setToast({ text: `Format not loaded: ${err instanceof SyntaxError ? "the file isn't valid JSON" : err.message}`, tone: "#ef4444" });
+    }
+  };
+
+  const removeFormat = id => {
+    setCustomFormats(p => p.filter(x => x.id !== id));
+    if (deckFormat === id) changeFormat("standard");
+  };
+
   // Load types immediately (hardcoded), load sets from cache or API
   const [setsLoading, setSetsLoading] = useState(true);
   useEffect(() => {
@@ -299,110 +656,591 @@ export default function App() {
     })();
   }, []);
 
-  // AbortController ref — cancels in-flight search when filters change
+  // AbortController ref — cancels in-flight search (and its prefetch) when filters change
   const abortRef = useRef(null);
+  const prefetchRef = useRef(null); // { page, promise } — the next page, requested as soon as one lands
 
-  const doSearch = useCallback(async (pg = 1) => {
-    // Cancel any in-flight request
-    if (abortRef.current) abortRef.current.abort();
-    const controller = new AbortController();
-    abortRef.current = controller;
+  // The API orders hp and number as text, page by page, so those sorts only apply where the card store
+  // answers the whole search — a synced set. Anywhere else results come back newest first.
+  const sortBy = CARD_SORTS[sort].textOrder && !setSynced ? "newest" : sort;
 
-    setLoading(true); setError(null);
+  // Page 1 starts a new result list; later pages append to it as the grid scrolls
+  const doSearch = useCallback(async (pg = 1) => {
+    let controller = abortRef.current;
+    if (pg === 1 || !controller) {
+      if (controller) controller.abort();
+      controller = abortRef.current = new AbortController();
+      prefetchRef.current = null;
+      setLoading(true); setLoadingMore(false); setError(null);
+    } else setLoadingMore(true);
+    setMoreError(false);
+
+    const ps = SEARCH_PAGE;
+    const run = (p, onCached) => svc.searchCards({ name: dn, type: fType, supertype: fSuper, set: fSet, legality: fLeg, ...dAdv, exclude: fmt.bannedSubtypes, banned: fmt.banned }, p, ps, controller.signal, sortBy, onCached);
+    // A new search shows what the card store already has while the API answer is on its way
+    const showCached = local => {
+      if (controller.signal.aborted) return;
+      setCards(local.data); setTotalCount(local.totalCount); setPage(1); setFromStore(true);
+      setLoading(false); setLoadingMore(true); // the footer shows the revalidation and holds off infinite scroll
+    };
     try {
-      const q = svc.buildQ({ name: dn, type: fType, supertype: fSuper, set: fSet, legality: fLeg });
-      const ps = isMobile ? 12 : 16;
-      const r = await svc.search(q, pg, ps, controller.signal);
+      const pending = prefetchRef.current?.page === pg ? prefetchRef.current.promise : run(pg, pg === 1 ? showCached : undefined);
+      prefetchRef.current = null;
+      const r = await pending;
       // Only update state if this request wasn't aborted
       if (!controller.signal.aborted) {
-        setCards(r.data || []); setTotalPages(Math.ceil((r.totalCount || 0) / ps)); setPage(pg);
-        gridRef.current?.scrollTo(0, 0);
+        const data = r.data || [];
+        setCards(p => {
+          if (pg === 1) return data;
+          const seen = new Set(p.map(c => c.id));
+          return [...p, ...data.filter(c => !seen.has(c.id))];
+        });
+        setTotalCount(r.totalCount || 0); setPage(pg); setFromStore(!!r.local);
+        if (pg === 1) gridRef.current?.scrollTo(0, 0);
+        // Warm searchCache with the next page so scrolling into it is instant
+        if (pg * ps < (r.totalCount || 0)) {
+          const promise = run(pg + 1);
+          promise.catch(() => {});
+          prefetchRef.current = { page: pg + 1, promise };
+        }
       }
     } catch (err) {
       if (err.name === 'AbortError') return;
       if (!controller.signal.aborted) {
-        const isTimeout = err.message?.includes('504') || err.message?.includes('timeout') || err.message?.includes('Max retries');
-        setError(isTimeout
-          ? "The API is responding slowly — this happens with broad filters. Try a more specific search or pick a different filter combo."
-          : "Failed to fetch cards. You may be rate-limited — try again in a moment."
-        );
-        setCards([]);
+        if (pg > 1) setMoreError(true);
+        else {
+          const isTimeout = err.message?.includes('504') || err.message?.includes('timeout') || err.message?.includes('Max retries');
+          setError(isTimeout
+            ? "The API is responding slowly — this happens with broad filters. Try a more specific search or pick a different filter combo."
+            : "Failed to fetch cards. You may be rate-limited — try again in a moment."
+          );
+          setCards([]);
+        }
       }
     }
-    if (!controller.signal.aborted) setLoading(false);
-  }, [dn, fType, fSuper, fSet, fLeg, isMobile]);
+    if (!controller.signal.aborted) { setLoading(false); setLoadingMore(false) }
+  }, [dn, fType, fSuper, fSet, fLeg, dAdv, sortBy, fmt]);
 
   useEffect(() => { doSearch(1) }, [doSearch]);
 
-  const dCounts = useMemo(() => { const c = {}; deck.forEach(d => { c[d.name] = (c[d.name] || 0) + 1 }); return c }, [deck]);
+  // Virtualized results — only the rows inside the scroll viewport (plus a little overscan) are rendered
+  const gridBox = useScrollBox(gridEl);
+  const gridPad = isMobile ? 10 : 14, gridGap = isMobile ? 8 : 10, minCol = isMobile ? 100 : isTablet ? 110 : 120;
+  const gridInner = Math.max(0, gridBox.width - gridPad * 2);
+  const gridCols = cardView === "list" ? 1 : Math.max(1, Math.floor((gridInner + gridGap) / (minCol + gridGap)));
+  const rowH = cardView === "list" ? LIST_ROW_H : Math.max(1, (gridInner - gridGap * (gridCols - 1)) / gridCols * 88 / 63 + gridGap);
+  const gridRows = Math.ceil(cards.length / gridCols);
+  const firstRow = Math.max(0, Math.floor((gridBox.top - gridPad) / rowH) - 2);
+  const lastRow = gridBox.height ? Math.min(gridRows, Math.ceil((gridBox.top + gridBox.height) / rowH) + 2) : Math.min(gridRows, 6);
+  const hasMore = page * SEARCH_PAGE < totalCount;
+
+  useEffect(() => {
+    if (!hasMore || loading || loadingMore || moreError || !gridBox.height) return;
+    if (gridBox.top + gridBox.height >= gridRows * rowH - rowH * 3) doSearch(page + 1);
+  }, [gridBox.top, gridBox.height, gridRows, rowH, hasMore, loading, loadingMore, moreError, page, doSearch]);
+
+  // Copies counted by rules name, so different printings of the same card share the limit
+  const dCounts = useMemo(() => { const c = {}; deck.forEach(d => { const k = copyKey(d); c[k] = (c[k] || 0) + 1 }); return c }, [deck]);
 
   const addCard = useCallback(card => {
-    if (deck.length >= MAX_DECK) return;
-    if (!BASIC_ENERGY.includes(card.name) && (dCounts[card.name] || 0) >= MAX_COPIES) return;
+    if (deck.length >= fmt.deckSize) return;
+    if ((dCounts[copyKey(card)] || 0) >= copyLimitOf(fmt, card)) return;
     setDeck(p => [...p, card]);
-  }, [deck.length, dCounts]);
+  }, [deck.length, dCounts, fmt]);
+
+  // "Add line": walks evolvesFrom down from a Stage 1/2 card and tops each stage up to the chosen ratio (basic first)
+  const [lineRatio, setLineRatio] = useState({ 1: "4-3", 2: "4-2-3" });
+  const addLine = useCallback(async (card, ratio) => {
+    const chain = [card];
+    let cur = card;
+    while (cur.evolvesFrom && chain.length < 3) {
+      const hits = (await resolver.byNames([cur.evolvesFrom])).get(nameKey(cur.evolvesFrom)) || [];
+      const pick = hits.find(c => c.legalities?.[fmt.legalityKey] === "Legal") || hits[0];
+      if (!pick) { setToast({ text: `Couldn't find ${cur.evolvesFrom}`, tone: "#eab308" }); break }
+      chain.push(pick); cur = pick;
+    }
+    const counts = ratio.split("-").map(n => parseInt(n) || 0).slice(-chain.length).reverse(); // aligned with chain, top first
+    setDeck(p => {
+      const out = [...p];
+      chain.forEach((c, i) => {
+        const have = out.filter(x => copyKey(x) === copyKey(c)).length;
+        for (let n = have; n < Math.min(counts[i], copyLimitOf(fmt, c)) && out.length < fmt.deckSize; n++) out.push(c);
+      });
+      return out;
+    });
+  }, [fmt]);
 
   const removeCard = useCallback(card => {
     setDeck(p => { const i = p.findLastIndex(c => c.id === card.id); return i === -1 ? p : [...p.slice(0, i), ...p.slice(i + 1)] });
   }, []);
 
-  const saveDeck = useCallback(() => {
-    setSavedDecks(p => [{ name: deckName, cards: deck, date: new Date().toLocaleDateString() }, ...p]);
-  }, [deckName, deck]);
+  // Saving a linked deck records a new version (unless nothing changed); otherwise it starts a new saved deck
+  const saveDeck = useCallback((note = "", asNew = false) => {
+    const version = { id: uid(), time: Date.now(), note, entries: toEntries(deck) };
+    const linked = !asNew && savedDecks.find(d => d.id === currentDeckId);
+    const unique = [...new Map(deck.map(c => [c.id, c])).values()];
+    cardStore.put(unique).catch(() => {});
+    setSavedCards(p => new Map([...p, ...unique.map(c => [c.id, c])]));
+    if (linked) {
+      const latest = linked.versions[0];
+      if (latest && sameEntries(latest.entries, version.entries) && !note) {
+        if (linked.name !== deckName) setSavedDecks(p => p.map(d => d.id === linked.id ? { ...d, name: deckName } : d));
+        return;
+      }
+      setSavedDecks(p => [{ ...linked, name: deckName, versions: [version, ...linked.versions] }, ...p.filter(d => d.id !== linked.id)]);
+    } else {
+      const id = uid();
+      setSavedDecks(p => [{ id, name: deckName, folder: "", tags: [], archetype: guessArchetype(deck), versions: [version] }, ...p]);
+      setCurrentDeckId(id);
+    }
+  }, [deckName, deck, savedDecks, currentDeckId]);
+
+  const loadSaved = useCallback((d, v = d.versions[0]) => {
+    const cards = versionCards(v), short = entryCount(v.entries) - cards.length;
+    setDeck(cards); setDeckName(d.name); setCurrentDeckId(d.id); setModal(null);
+    if (short) setToast({ text: `${short} cards of "${d.name}" aren't in the card store yet — reconnect and load it again`, tone: "#eab308" });
+  }, [versionCards]);
+
+  // Library — folders, tags, search and sort over saved decks, plus JSON backup/restore
+  const [libQuery, setLibQuery] = useState("");
+  const [libFolder, setLibFolder] = useState("*"); // * = all, "" = unfiled
+  const [libSort, setLibSort] = useState("date");
+  const [libEdit, setLibEdit] = useState(null); // { id, name, folder, tags, archetype } while editing a deck's details
+  const folders = useMemo(() => [...new Set(savedDecks.map(d => d.folder).filter(Boolean))].sort(), [savedDecks]);
+  const library = useMemo(() => {
+    const q = libQuery.trim().toLowerCase();
+    const hit = d => !q || [d.name, d.folder, d.archetype, ...d.tags].some(t => t && t.toLowerCase().includes(q));
+    const by = {
+      date: (a, b) => (b.versions[0]?.time || 0) - (a.versions[0]?.time || 0),
+      name: (a, b) => a.name.localeCompare(b.name),
+      archetype: (a, b) => (a.archetype || "\uffff").localeCompare(b.archetype || "\uffff") || a.name.localeCompare(b.name),
+    }[libSort];
+    return savedDecks.filter(d => (libFolder === "*" || d.folder === libFolder) && hit(d)).sort(by);
+  }, [savedDecks, libQuery, libFolder, libSort]);
+
+  const updateSaved = useCallback((id, patch) => setSavedDecks(p => p.map(d => d.id === id ? { ...d, ...patch } : d)), []);
+  const duplicateSaved = useCallback(d => {
+    const copy = { ...d, id: uid(), name: `${d.name} (copy)`, versions: [{ ...d.versions[0], id: uid(), time: Date.now(), note: `Duplicated from ${d.name}` }] };
+    setSavedDecks(p => [copy, ...p]);
+    setLibEdit({ id: copy.id, name: copy.name, folder: copy.folder, tags: copy.tags.join(", "), archetype: copy.archetype });
+  }, []);
+  const saveLibEdit = useCallback(() => {
+    if (!libEdit) return;
+    const tags = [...new Set(libEdit.tags.split(",").map(t => t.trim()).filter(Boolean))];
+    updateSaved(libEdit.id, { name: libEdit.name.trim() || "Untitled", folder: libEdit.folder.trim(), tags, archetype: libEdit.archetype.trim() });
+    if (libEdit.id === currentDeckId) setDeckName(libEdit.name.trim() || "Untitled");
+    setLibEdit(null);
+  }, [libEdit, currentDeckId, updateSaved]);
+
+  const backupLibrary = useCallback(() => {
+    downloadFile(`pokedeck-backup-${new Date().toISOString().slice(0, 10)}.json`, backupJson(savedDecks, savedCards), "application/json");
+  }, [savedDecks, savedCards]);
+  const restoreLibrary = useCallback(async file => {
+    try {
+      const { decks, cards } = readBackup(JSON.parse(await file.text()));
+      if (cards.size) { cardStore.put([...cards.values()]).catch(() => {}); setSavedCards(p => new Map([...p, ...cards])) }
+      const merged = mergeSaved(savedDecks, decks);
+      setSavedDecks(merged.decks);
+      setToast({ text: `Backup restored — ${merged.added} decks added, ${merged.updated} updated, ${decks.length - merged.added - merged.updated} already up to date`, tone: "#10b981" });
+    } catch (err) {
+      setToast({ text: `Restore failed: ${err instanceof SyntaxError ? "the file isn't valid JSON" : err.message}`, tone: "#ef4444" });
+    }
+  }, [savedDecks]);
+
+  // Version diff — sides are "current" or `${deckId}:${versionId}`
+  const [diffSides, setDiffSides] = useState({ a: "", b: "current" });
+  const [saveNote, setSaveNote] = useState("");
+  const [expandedSaved, setExpandedSaved] = useState(null);
+  // Game log — results logged against a saved deck (and the version that was played), kept apart from the decks
+  const [games, setGames] = useState(() => { try { return JSON.parse(localStorage.getItem("ptcg-games") || "[]") } catch { return [] } });
+  const [logDeckId, setLogDeckId] = useState(null);
+  const [gameForm, setGameForm] = useState({ versionId: "", opponent: "", turn: "first", result: "W", prizes: 6, notes: "" });
+  const setGameField = (k, v) => setGameForm(p => ({ ...p, [k]: v }));
+
+  useEffect(() => { try { localStorage.setItem("ptcg-games", JSON.stringify(games)) } catch {} }, [games]);
+
+  const logDeck = savedDecks.find(d => d.id === logDeckId) || savedDecks.find(d => d.id === currentDeckId) || savedDecks[0] || null;
+  const deckGames = useMemo(() => logDeck ? games.filter(g => g.deckId === logDeck.id).sort((x, y) => y.time - x.time) : [], [games, logDeck]);
+  const logStats = useMemo(() => gameStats(deckGames, logDeck), [deckGames, logDeck]);
+
+  const logGame = () => {
+    if (!logDeck) return;
+    const versionId = logDeck.versions.some(v => v.id === gameForm.versionId) ? gameForm.versionId : logDeck.versions[0].id;
+    setGames(p => [...p, { id: uid(), deckId: logDeck.id, versionId, time: Date.now(), opponent: gameForm.opponent.trim() || "Unknown", turn: gameForm.turn, result: gameForm.result, prizes: gameForm.prizes, notes: gameForm.notes.trim() }]);
+    setGameForm(p => ({ ...p, notes: "" }));
+  };
 
-  const exportText = useMemo(() => {
-    const g = {}; deck.forEach(c => { if (!g[c.id]) g[c.id] = { card: c, count: 0 }; g[c.id].count++ });
-    const sec = { "Pokémon": [], "Trainer": [], "Energy": [] };
-    Object.values(g).forEach(({ card: c, count }) => {
-      (sec[c.supertype] || sec["Trainer"]).push(`${count} ${c.name} ${c.set?.ptcgoCode || c.set?.id || ""} ${c.number || ""}`.trim());
-    });
-    return ["Pokémon", "Trainer", "Energy"].map(s => sec[s].length ? `${s}: ${sec[s].reduce((a, l) => a + parseInt(l), 0)}\n${sec[s].join("\n")}` : "").filter(Boolean).join("\n\n");
-  }, [deck]);
+  const openGames = id => { setLogDeckId(id); setGameForm(p => ({ ...p, versionId: "" })); setModal("games") };
+
+  const sideCards = useCallback(key => {
+    if (key === "current") return deck;
+    const [did, vid] = key.split(":");
+    const v = savedDecks.find(d => d.id === did)?.versions.find(v => v.id === vid);
+    return v ? versionCards(v) : [];
+  }, [deck, savedDecks, versionCards]);
+
+  const [exportFmt, setExportFmt] = useState("ptcgl");
+  const [player, setPlayer] = useState(() => { try { return JSON.parse(localStorage.getItem("ptcg-player") || "{}") } catch { return {} } });
+  useEffect(() => { try { localStorage.setItem("ptcg-player", JSON.stringify(player)) } catch {} }, [player]);
+  const exportText = useMemo(() => EXPORTERS[exportFmt].render(deck, { name: deckName, format: fmt.name }), [deck, deckName, fmt, exportFmt]);
+
+  // Proxy sheet — per-card print quantities default to the deck's counts
+  const [proxyQty, setProxyQty] = useState({});
+  const [proxyOpts, setProxyOpts] = useState({ energy: false, watermark: true });
+  const proxyRows = useMemo(() => {
+    const secs = deckSections(deck);
+    return SECTIONS.flatMap(st => secs[st])
+      .filter(e => proxyOpts.energy || !isBasicEnergy(e.card))
+      .map(e => ({ ...e, qty: proxyQty[e.card.id] ?? e.count }));
+  }, [deck, proxyQty, proxyOpts.energy]);
+
+  const printProxies = useCallback(() => {
+    const cards = proxyRows.flatMap(r => Array(r.qty).fill(r.card));
+    const w = cards.length && window.open("", "_blank");
+    if (!w) return;
+    w.document.write(proxySheetHtml(cards, { watermark: proxyOpts.watermark }));
+    w.document.close();
+  }, [proxyRows, proxyOpts.watermark]);
+
+  const printRegistration = useCallback(() => {
+    const w = window.open("", "_blank");
+    if (!w) return;
+    w.document.write(registrationSheetHtml(deck, { name: deckName, format: fmt.name, player }));
+    w.document.close();
+  }, [deck, deckName, fmt, player]);
+
+  // Import runs in two steps: resolve every line into a report, then replace the deck once the user confirms
+  const [importReport, setImportReport] = useState(null);
+  const [importProgress, setImportProgress] = useState(null); // { done, total } while resolving
 
   const handleImport = useCallback(async (text) => {
-    const lines = text.split("\n").filter(l => l.trim()); const nd = [];
-    for (const line of lines) {
-      const m = line.match(/^(\d+)\s+(.+?)(?:\s+(\w+)\s+(\d+))?$/);
-      if (m) { try { const r = await svc.search(`name:"${m[2].trim()}"`, 1, 1); if (r.data?.[0]) for (let i = 0; i < parseInt(m[1]); i++) nd.push(r.data[0]) } catch {} }
-    }
-    if (nd.length) setDeck(nd);
+    const entries = parseDeckList(text);
+    setImportProgress({ done: 0, total: entries.length });
+    let report;
+    try { report = await resolveList(entries, resolver, (done, total) => setImportProgress({ done, total })) }
+    catch { report = entries.map(e => ({ ...e, status: "missing", card: null, candidates: [], reason: "lookup failed" })) }
+    setImportProgress(null);
+    setImportReport(report);
+  }, []);
+
+  const pickPrinting = useCallback((idx, cardId) => {
+    setImportReport(p => p.map((r, i) => i === idx ? { ...r, card: r.candidates.find(c => c.id === cardId) || r.card } : r));
   }, []);
 
-  const a = useMemo(() => analyze(deck), [deck]);
+  const applyImport = useCallback(() => {
+    const nd = [];
+    (importReport || []).forEach(r => { if (r.card) for (let i = 0; i < r.count; i++) nd.push(r.card) });
+    if (nd.length) replaceDeck(nd, `Imported ${nd.length} cards`);
+    setImportReport(null); setModal(null);
+  }, [importReport, replaceDeck]);
+
+  const a = useMemo(() => analyze(deck, fmt), [deck, fmt]);
+  const lines = useMemo(() => evolutionLines(deck), [deck]);
+  const ep = useMemo(() => energyProfile(deck), [deck]);
   const grouped = useMemo(() => {
     const g = { "Pokémon": {}, "Trainer": {}, "Energy": {} };
     deck.forEach(c => { const s = g[c.supertype] || g["Trainer"]; if (!s[c.id]) s[c.id] = { card: c, count: 0 }; s[c.id].count++ }); return g;
   }, [deck]);
 
+  // Toast — { text, tone, action?: { label, run } }, hides itself after a few seconds
+  const [toast, setToast] = useState(null);
+  useEffect(() => { if (!toast) return; const t = setTimeout(() => setToast(null), 7000); return () => clearTimeout(t) }, [toast]);
+
+  // Collection — owned quantities per card id, compared against the deck, saved decks and meta lists
+  const [collection, setCollection] = useState(() => { try { return JSON.parse(localStorage.getItem("ptcg-collection") || "{}") } catch { return {} } });
+  const [anyPrinting, setAnyPrinting] = useState(() => localStorage.getItem("ptcg-any-printing") === "1");
+  const [collSource, setCollSource] = useState("deck"); // deck | saved:<id> | meta:<index>
+  useEffect(() => { try { localStorage.setItem("ptcg-collection", JSON.stringify(collection)) } catch {} }, [collection]);
+  useEffect(() => { try { localStorage.setItem("ptcg-any-printing", anyPrinting ? "1" : "0") } catch {} }, [anyPrinting]);
+  const hasCollection = Object.keys(collection).length > 0;
+
+  const setOwned = useCallback((card, qty) => setCollection(p => {
+    const n = { ...p };
+    if (qty > 0) n[card.id] = collectionEntry(card, qty); else delete n[card.id];
+    return n;
+  }), []);
+
+  const importCollection = useCallback(async file => {
+    try {
+      const { entries, errors } = collectionFromCsv(await file.text());
+      const unnamed = entries.filter(e => !e.name);
+      const found = unnamed.length ? await resolver.byIds(unnamed.map(e => e.id)) : new Map();
+      const unknown = unnamed.filter(e => !found.has(e.id)).map(e => e.id);
+      setCollection(p => {
+        const n = { ...p };
+        entries.forEach(e => {
+          if (unknown.includes(e.id)) return;
+          if (e.qty === 0) { delete n[e.id]; return }
+          n[e.id] = found.has(e.id) ? collectionEntry(found.get(e.id), e.qty) : { qty: e.qty, name: e.name, set: e.set, number: e.number };
+        });
+        return n;
+      });
+      const skipped = [...errors, ...unknown.map(id => `Unknown card id "${id}"`)];
+      setToast({ text: `Imported ${entries.length - unknown.length} collection rows${skipped.length ? ` — ${skipped.length} skipped: ${skipped.slice(0, 3).join("; ")}${skipped.length > 3 ? "…" : ""}` : ""}`, tone: skipped.length ? "#eab308" : "#10b981" });
+    } catch (err) {
+      setToast({ text: `Collection import failed: ${err.message}`, tone: "#ef4444" });
+    }
+  }, []);
+
+  const deckOwned = useMemo(() => collectionReport(deckRequirements(deck), collection, anyPrinting), [deck, collection, anyPrinting]);
+
+  // Share links — a #deck=... fragment rebuilds that deck on load (or when the hash changes)
+  const shareLink = useMemo(() => deck.length ? `${location.origin}${location.pathname}#${encodeShare(deckName, deck)}` : "", [deck, deckName]);
+
+  useEffect(() => {
+    const openShared = async () => {
+      let shared;
+      try { shared = decodeShare(location.hash) } catch (err) { setToast({ text: err.message, tone: "#ef4444" }); return }
+      if (!shared) return;
+      history.replaceState(null, "", location.pathname + location.search);
+      setToast({ text: `Opening shared deck (link v${shared.version})...`, tone: "#22d3ee" });
+      const found = await resolver.byIds(shared.entries.map(e => e.id));
+      const nd = [], missing = shared.entries.filter(e => !found.has(e.id));
+      shared.entries.forEach(e => { const c = found.get(e.id); if (c) for (let i = 0; i < e.count; i++) nd.push(c) });
+      if (nd.length) { setDeck(nd); setDeckName(shared.name); setCurrentDeckId(null) }
+      setToast(missing.length
+        ? { text: `Loaded "${shared.name}" (link v${shared.version}) — ${missing.reduce((s, e) => s + e.count, 0)} cards not found: ${missing.map(e => e.id).join(", ")}`, tone: "#eab308" }
+        : { text: `Loaded shared deck "${shared.name}" (link v${shared.version})`, tone: "#10b981" });
+    };
+    openShared();
+    window.addEventListener("hashchange", openShared);
+    return () => window.removeEventListener("hashchange", openShared);
+  }, []);
+
+  // Offline card database
+  const [storeInfo, setStoreInfo] = useState({ count: 0, sets: [] });
+  const [syncSetId, setSyncSetId] = useState("");
+  const [syncing, setSyncing] = useState(null); // { name, done, total }
+
+  const refreshStore = useCallback(async () => {
+    const [count, synced] = await Promise.all([cardStore.count(), cardStore.syncedSets()]);
+    setStoreInfo({ count, sets: synced.sort((x, y) => y.time - x.time) });
+  }, []);
+
+  useEffect(() => { if (modal === "offline") refreshStore() }, [modal, refreshStore]);
+  useEffect(() => {
+    let live = true;
+    if (!fSet) setSetSynced(false);
+    else cardStore.hasSet(fSet).then(v => { if (live) setSetSynced(v) });
+    return () => { live = false };
+  }, [fSet, storeInfo]);
+
+  const syncSet = useCallback(async setId => {
+    const set = sets.find(st => st.id === setId);
+    if (!set) return;
+    setSyncing({ name: set.name, done: 0, total: set.total || 0 });
+    try {
+      await svc.syncSet(set, (done, total) => setSyncing({ name: set.name, done, total }));
+    } catch (err) {
+      console.error(`Failed to sync ${set.name}:`, err);
+    }
+    setSyncing(null);
+    refreshStore();
+  }, [sets, refreshStore]);
+
+  // Consistency tools (Deck Analytics)
+  const [keyCard, setKeyCard] = useState("");
+  const [outs, setOuts] = useState([]);
+  const nameCounts = useMemo(() => {
+    const c = {}; deck.forEach(d => { const k = copyKey(d); c[k] = (c[k] || 0) + 1 });
+    return Object.entries(c).sort((x, y) => x[0].localeCompare(y[0]));
+  }, [deck]);
+  const liveKey = nameCounts.some(([n]) => n === keyCard) ? keyCard : "";
+  const liveOuts = useMemo(() => outs.filter(o => nameCounts.some(([n]) => n === o)), [outs, nameCounts]);
+  // The simulation only runs while Deck Analytics is on screen (desktop third column, or the mobile Stats tab)
+  const statsVisible = isMobile ? mobileView === "stats" : !isTablet;
+  // and waits for edits to settle, so adding cards in a row doesn't rerun 5,000 trials on every click
+  const [sim, setSim] = useState(null);
+  useEffect(() => {
+    if (!statsVisible) { setSim(null); return }
+    const t = setTimeout(() => setSim(simulateOpenings(deck, { keys: liveKey ? [liveKey] : [], outs: liveOuts, turns: 4 })), 400);
+    return () => clearTimeout(t);
+  }, [statsVisible, deck, liveKey, liveOuts]);
+
+  // Goldfish playtest — zones hold indices into ptCards, a snapshot of the deck taken when the hand is dealt.
+  // The deal after k mulligans uses mixSeed(seed, k), so the same seed replays the same hands and mulligans.
+  const [ptCards, setPtCards] = useState([]);
+  const [pt, setPt] = useState(null); // { seed, mulligans, library, hand, prizes, active, bench, discard }
+  const [ptSeed, setPtSeed] = useState(() => Math.floor(Math.random() * 1e6));
+  const [ptSel, setPtSel] = useState(null); // { zone, i }
+  const [ptLook, setPtLook] = useState(false); // deck zone face up, for searching it
+  const [ptFind, setPtFind] = useState("");
+
+  const dealHand = useCallback((seed, mulligans = 0, cards = deck) => {
+    const order = shuffle(cards.map((_, i) => i), mulberry32(mixSeed(seed, mulligans)));
+    setPtCards(cards); setPtSel(null);
+    setPt({ seed, mulligans, shuffles: 0, library: order.slice(13), hand: order.slice(0, 7), prizes: order.slice(7, 13), active: [], bench: [], discard: [] });
+  }, [deck]);
+
+  const ptMove = useCallback((from, i, to) => {
+    setPt(p => {
+      if (!p || (to === "bench" && p.bench.length >= 5) || (to === "active" && p.active.length >= 1)) return p;
+      const card = p[from][i];
+      return { ...p, [from]: p[from].filter((_, j) => j !== i), [to]: [...p[to], card] };
+    });
+    setPtSel(null);
+  }, []);
+
+  // Back into the deck: on top (drawn next) or at the bottom
+  const ptToDeck = useCallback((from, i, bottom) => {
+    setPt(p => {
+      if (!p) return p;
+      const card = p[from][i], p2 = { ...p, [from]: p[from].filter((_, j) => j !== i) };
+      return { ...p2, library: bottom ? [...p2.library, card] : [card, ...p2.library] };
+    });
+    setPtSel(null);
+  }, []);
+
+  // In-game shuffles are seeded too (seed, mulligans, then the shuffle count), so a replayed game stays the same
+  const ptShuffle = useCallback(() => {
+    setPt(p => p && { ...p, shuffles: p.shuffles + 1, library: shuffle(p.library, mulberry32(mixSeed(p.seed, p.mulligans, p.shuffles + 1))) });
+    setPtSel(null);
+  }, []);
+
+  const ptDraw = useCallback(() => setPt(p => p && p.library.length ? { ...p, library: p.library.slice(1), hand: [...p.hand, p.library[0]] } : p), []);
+
   const quickSearch = n => { setSearchName(n); setTab("search"); if (isMobile) setMobileView("search") };
 
+  // Meta snapshots — fetched from public/meta.json at runtime
+  const [metaSnaps, setMetaSnaps] = useState([]);
+  const [metaSnapId, setMetaSnapId] = useState("current");
+  const [meta, setMeta] = useState({ archetypes: [], errors: [], lastUpdated: null, loading: true, error: null });
+  const [metaReload, setMetaReload] = useState(0);
+
+  useEffect(() => {
+    let live = true;
+    setMeta(p => ({ ...p, loading: true, error: null }));
+    (async () => {
+      try {
+        const snaps = metaSnapshots(await fetchMeta(META_URL));
+        const snap = snaps.find(sn => sn.id === metaSnapId) || snaps[0];
+        const parsed = validateMeta(await fetchMeta(snap.file));
+        if (live) { setMetaSnaps(snaps); setMeta({ ...parsed, loading: false, error: null }) }
+      } catch (err) {
+        console.error("Failed to load meta decks:", err);
+        if (live) setMeta({ archetypes: [], errors: [], lastUpdated: null, loading: false, error: err.message });
+      }
+    })();
+    return () => { live = false };
+  }, [metaSnapId, metaReload]);
+
   // Meta deck loading
-  const [metaLoading, setMetaLoading] = useState(null); // index of loading deck
+  const [metaLoading, setMetaLoading] = useState(null); // { index, done, total } while resolving
+  const [metaMissing, setMetaMissing] = useState({}); // archetype name → names that couldn't be resolved
   const [expandedMeta, setExpandedMeta] = useState(null); // index of expanded archetype
 
   const loadMetaDeck = useCallback(async (archetype, index) => {
-    setMetaLoading(index);
     const allEntries = [...archetype.pokemon, ...archetype.trainers, ...archetype.energy];
-    const newDeck = [];
-    for (const entry of allEntries) {
-      try {
-        const r = await svc.search(`name:"${entry.name}"`, 1, 1);
-        if (r.data?.[0]) {
-          for (let i = 0; i < entry.count; i++) newDeck.push(r.data[0]);
-        }
-        // Small delay between requests to avoid rate limiting
-        await delay(200);
-      } catch (err) {
-        console.warn(`Could not find: ${entry.name}`, err);
-      }
+    const keys = [...new Set(allEntries.map(e => nameKey(e.name)))];
+    let settled = 0;
+    setMetaLoading({ index, done: 0, total: keys.length });
+    let found = new Map();
+    try {
+      found = await resolver.byNames(allEntries.map(e => e.name), ks => { settled += ks.length; setMetaLoading({ index, done: settled, total: keys.length }) });
+    } catch (err) {
+      console.error(`Failed to load ${archetype.name}:`, err);
     }
+    const newDeck = [], missing = [];
+    allEntries.forEach(entry => {
+      const card = found.get(nameKey(entry.name))?.[0];
+      if (card) for (let i = 0; i < entry.count; i++) newDeck.push(card);
+      else missing.push(`${entry.count} ${entry.name}`);
+    });
+    setMetaMissing(p => ({ ...p, [archetype.name]: missing }));
     if (newDeck.length > 0) {
-      setDeck(newDeck);
+      replaceDeck(newDeck, `Loaded ${archetype.name}`);
       setDeckName(archetype.name);
+      setCurrentDeckId(null);
       if (isMobile) setMobileView("deck");
     }
     setMetaLoading(null);
-  }, [isMobile]);
+  }, [isMobile, replaceDeck]);
+
+  // Matchups — every archetype's Pokémon resolved by name (newest printing) once per meta snapshot,
+  // then scored against the current deck as it changes
+  const [metaCards, setMetaCards] = useState(null); // Map(nameKey → card) once resolved
+  const [matchupBusy, setMatchupBusy] = useState(false);
+  const [openMatchup, setOpenMatchup] = useState(null); // archetype name with its details expanded
+
+  useEffect(() => { setMetaCards(null); setOpenMatchup(null) }, [meta.archetypes]);
+
+  const analyseMatchups = useCallback(async () => {
+    setMatchupBusy(true);
+    try {
+      const found = await resolver.byNames(meta.archetypes.flatMap(m => m.pokemon.map(e => e.name)));
+      setMetaCards(new Map([...found].map(([k, cs]) => [k, cs[0]])));
+    } catch (err) {
+      console.error("Failed to resolve meta Pokémon:", err);
+      setToast({ text: "Couldn't load the meta Pokémon — try again when online", tone: "#ef4444" });
+    }
+    setMatchupBusy(false);
+  }, [meta.archetypes]);
+
+  const matchups = useMemo(() => {
+    if (!metaCards) return [];
+    const ours = deckSections(deck)["Pokémon"];
+    return meta.archetypes.map(m => {
+      const theirs = m.pokemon.map(e => ({ card: metaCards.get(nameKey(e.name)), count: e.count })).filter(e => e.card);
+      return { name: m.name, type: m.type, unresolved: m.pokemon.length - theirs.length, ...matchupReport(ours, theirs) };
+    });
+  }, [metaCards, meta.archetypes, deck]);
+
+  // Damage calculator — attacker from the deck; targets from the search results, the resolved meta Pokémon or the card modal
+  const [calc, setCalc] = useState({ attacker: "", attack: 0, target: null, bench: null, units: 0, bonus: 0, belt: false, reduction: 0, counters: 0, benchCounters: 0 });
+  const setCalcField = (k, v) => setCalc(p => ({ ...p, [k]: v }));
+  const calcAttackers = useMemo(() => deckSections(deck)["Pokémon"].map(e => e.card).filter(c => c.attacks?.length), [deck]);
+  const calcTargets = useMemo(() => {
+    const groups = [["Search results", cards.filter(c => c.supertype === "Pokémon" && c.hp)]];
+    if (metaCards) meta.archetypes.forEach(m => groups.push([m.name, m.pokemon.map(e => metaCards.get(nameKey(e.name))).filter(Boolean)]));
+    groups.push(["Our deck", calcAttackers.filter(c => c.hp)]);
+    return groups.filter(([, cs]) => cs.length);
+  }, [cards, metaCards, meta.archetypes, calcAttackers]);
+  const calcPool = useMemo(() => new Map([calc.target, calc.bench, ...calcTargets.flatMap(([, cs]) => cs)].filter(Boolean).map(c => [c.id, c])), [calcTargets, calc.target, calc.bench]);
+  const calcAttacker = calcAttackers.find(c => c.id === calc.attacker) || calcAttackers[0] || null;
+  const calcAttack = calcAttacker?.attacks[calc.attack] || calcAttacker?.attacks[0] || null;
+  const calcResult = calcAttacker && calcAttack && calc.target ? calcDamage({ ...calc, attacker: calcAttacker, attack: calcAttack }) : null;
+
+  // Rotation preview — regulation marks picked as leaving Standard, checked against the deck and the latest
+  // version of every saved deck. "Check" refetches every printing of those names so marks and reprints are current.
+  const [rotating, setRotating] = useState(() => { try { return JSON.parse(localStorage.getItem("ptcg-rotating") || "[]") } catch { return [] } });
+  const [rotPrintings, setRotPrintings] = useState(null); // Map(nameKey → printings) after a check
+  const [rotBusy, setRotBusy] = useState(null); // { done, total } while checking
+  const [rotOpen, setRotOpen] = useState("current"); // "current" or a saved deck id
+
+  useEffect(() => { try { localStorage.setItem("ptcg-rotating", JSON.stringify(rotating)) } catch {} }, [rotating]);
+
+  const rotDecks = useMemo(() => {
+    const fresh = new Map([...(rotPrintings?.values() || [])].flat().map(c => [c.id, c]));
+    const update = cs => cs.map(c => fresh.get(c.id) || c);
+    return [{ id: "current", name: `${deckName} (current)`, cards: update(deck) }, ...savedDecks.map(d => ({ id: d.id, name: d.name, cards: update(versionCards(d.versions[0])) }))]
+      .filter(d => d.cards.length)
+      .map(d => ({ ...d, report: rotationReport(d.cards, rotating, rotPrintings || undefined), stale: d.cards.filter(c => !c.regulationMark && !isBasicEnergy(c) && c.legalities?.standard === "Legal").length }));
+  }, [deck, deckName, savedDecks, versionCards, rotating, rotPrintings]);
+
+  const checkRotation = useCallback(async () => {
+    const names = [...new Set(rotDecks.flatMap(d => d.cards.filter(c => !isBasicEnergy(c)).map(c => c.name)))];
+    let done = 0;
+    setRotBusy({ done: 0, total: names.length });
+    try {
+      setRotPrintings(await resolver.freshByNames(names, ks => { done += ks.length; setRotBusy({ done, total: names.length }) }));
+    } catch (err) {
+      console.error("Rotation check failed:", err);
+    }
+    setRotBusy(null);
+  }, [rotDecks]);
+
+  // Swaps every copy of a rotating printing in the builder for an in-format reprint
+  const swapPrinting = (from, to) => {
+    setDeck(d => d.map(c => c.id === from.id ? to : c));
+    setToast({ text: `${from.name}: swapped to ${setCode(to)} ${to.number}`, tone: "#10b981" });
+  };
+
+  // From the card modal: a card in the deck becomes the attacker, anything else the target
+  const openCalc = card => {
+    if (card?.attacks?.length && deck.some(c => c.id === card.id)) setCalc(p => ({ ...p, attacker: card.id, attack: 0, units: 0 }));
+    else if (card) setCalc(p => ({ ...p, target: card, counters: 0, belt: p.belt && hasSub(card, "ex") }));
+    setSelCard(null); setModal("calc");
+  };
 
   // ── Shared Styles ──
   const css = {
@@ -431,13 +1269,24 @@ export default function App() {
           {/* Search + Filters */}
           <div style={{ padding: "12px 16px", borderBottom: "1px solid rgba(255,255,255,.06)", flexShrink: 0 }}>
             <input style={css.input} placeholder="Search cards by name..." value={searchName} onChange={e => setSearchName(e.target.value)} />
-            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginTop: 8 }}>
+            <div style={{ display: "flex", alignItems: "center", gap: 8, marginTop: 8, flexWrap: "wrap" }}>
               <button onClick={() => setShowFilters(p => !p)} style={{ ...css.btn("rgba(255,255,255,.06)", "#94a3b8", "1px solid rgba(255,255,255,.1)"), fontSize: 12, padding: "6px 12px" }}>
                 🔽 Filters {showFilters ? "▲" : "▼"}
               </button>
-              {(fType || fSuper || fSet || fLeg !== "standard") && (
-                <button onClick={() => { setFType(""); setFSuper(""); setFSet(""); setFLeg("standard") }} style={{ fontSize: 12, color: "#f87171", background: "none", border: "none", cursor: "pointer", fontFamily: "inherit" }}>Clear filters</button>
+              {(fType || fSuper || fSet || fLeg !== "standard" || advActive) && (
+                <button onClick={clearFilters} style={{ fontSize: 12, color: "#f87171", background: "none", border: "none", cursor: "pointer", fontFamily: "inherit" }}>Clear filters</button>
               )}
+              <div style={{ display: "flex", gap: 6, alignItems: "center", marginLeft: "auto" }}>
+                {totalCount > 0 && !loading && <span style={{ fontSize: 11, color: "#475569", whiteSpace: "nowrap" }}>{totalCount} cards</span>}
+                <select style={{ ...css.select, flex: "none", padding: "5px 8px", fontSize: 12 }} value={sortBy} onChange={e => setSort(e.target.value)} title="Sort results">
+                  {Object.entries(CARD_SORTS).map(([k, o]) => <option key={k} value={k} disabled={o.textOrder && !setSynced}>↕ {o.label}{o.textOrder && !setSynced ? " · synced sets only" : ""}</option>)}
+                </select>
+                <div style={{ display: "flex", borderRadius: 8, border: "1px solid rgba(255,255,255,.1)", overflow: "hidden" }}>
+                  {[["grid", "▦", "Image grid"], ["list", "☰", "Compact list"]].map(([v, icon, label]) => (
+                    <button key={v} title={label} onClick={() => setCardView(v)} style={{ padding: "4px 9px", border: "none", background: cardView === v ? "rgba(34,211,238,.15)" : "transparent", color: cardView === v ? "#22d3ee" : "#64748b", cursor: "pointer", fontSize: 14, fontFamily: "inherit" }}>{icon}</button>
+                  ))}
+                </div>
+              </div>
             </div>
             {showFilters && (
               <div style={{ marginTop: 8, display: "flex", flexDirection: "column", gap: 8, animation: "fadeUp .2s ease" }}>
@@ -462,56 +1311,132 @@ export default function App() {
                     <option value="expanded">Expanded</option>
                   </select>
                 </div>
+                <button onClick={() => setShowAdv(p => !p)} style={{ alignSelf: "flex-start", fontSize: 12, color: advActive ? "#22d3ee" : "#64748b", background: "none", border: "none", cursor: "pointer", fontFamily: "inherit", padding: 0 }}>
+                  {showAdv ? "▾" : "▸"} Advanced{advActive ? " •" : ""}
+                </button>
+                {showAdv && (
+                  <div style={{ display: "flex", flexDirection: "column", gap: 8, animation: "fadeUp .2s ease" }}>
+                    <div style={{ display: "flex", flexWrap: "wrap", gap: 4 }}>
+                      {SUBTYPES.map(st => {
+                        const on = adv.subtypes.includes(st);
+                        return <span key={st} onClick={() => setAdvField("subtypes", on ? adv.subtypes.filter(x => x !== st) : [...adv.subtypes, st])} style={{ ...css.badge(on ? "#22d3ee" : "#475569"), cursor: "pointer", WebkitTapHighlightColor: "transparent" }}>{st}</span>;
+                      })}
+                    </div>
+                    <div style={{ display: "flex", gap: 8 }}>
+                      <input style={{ ...css.select, width: 0 }} type="number" min="0" step="10" placeholder="HP min" value={adv.hpMin} onChange={e => setAdvField("hpMin", e.target.value)} />
+                      <input style={{ ...css.select, width: 0 }} type="number" min="0" step="10" placeholder="HP max" value={adv.hpMax} onChange={e => setAdvField("hpMax", e.target.value)} />
+                      <select style={css.select} value={adv.retreatMax} onChange={e => setAdvField("retreatMax", e.target.value)}>
+                        <option value="">Any Retreat</option>
+                        {[0, 1, 2, 3].map(n => <option key={n} value={n}>{n === 0 ? "Free retreat" : `Retreat ≤ ${n}`}</option>)}
+                      </select>
+                    </div>
+                    <div style={{ display: "flex", gap: 8 }}>
+                      <select style={css.select} value={adv.weakness} onChange={e => setAdvField("weakness", e.target.value)}>
+                        <option value="">Any Weakness</option>
+                        {types.map(t => <option key={t} value={t}>Weak to {t}</option>)}
+                      </select>
+                      <select style={css.select} value={adv.rarity} onChange={e => setAdvField("rarity", e.target.value)}>
+                        <option value="">Any Rarity</option>
+                        {RARITIES.map(r => <option key={r} value={r}>{r}</option>)}
+                      </select>
+                      <select style={css.select} value={adv.regMark} onChange={e => setAdvField("regMark", e.target.value)}>
+                        <option value="">Any Mark</option>
+                        {REG_MARKS.map(m => <option key={m} value={m}>Mark {m}+</option>)}
+                      </select>
+                    </div>
+                    <input style={{ ...css.select, width: "100%" }} placeholder="Attack / ability / card text, e.g. Basic Pokémon" value={adv.text} onChange={e => setAdvField("text", e.target.value)} />
+                    <input style={{ ...css.select, width: "100%", fontFamily: "'SF Mono',monospace" }} placeholder='Raw query, e.g. attacks.damage:"200+"' value={adv.raw} onChange={e => setAdvField("raw", e.target.value)} />
+                  </div>
+                )}
               </div>
             )}
           </div>
 
+          {fromStore && !loading && !error && (
+            <div style={{ padding: "6px 16px", fontSize: 11, color: "#fbbf24", background: "rgba(251,191,36,.06)", borderBottom: "1px solid rgba(251,191,36,.12)", flexShrink: 0 }}>🗄️ Showing cards from the offline database</div>
+          )}
+
           {/* Card Grid */}
-          <div ref={gridRef} style={{ flex: 1, overflow: "auto", padding: isMobile ? 10 : 14, display: "grid", gridTemplateColumns: isMobile ? "repeat(auto-fill,minmax(100px,1fr))" : isTablet ? "repeat(auto-fill,minmax(110px,1fr))" : "repeat(auto-fill,minmax(120px,1fr))", gap: isMobile ? 8 : 10, alignContent: "start", WebkitOverflowScrolling: "touch" }}>
+          <div ref={bindGrid} style={{ flex: 1, overflow: "auto", position: "relative", WebkitOverflowScrolling: "touch" }}>
             {loading ? (
-              <div style={{ gridColumn: "1/-1", display: "flex", flexDirection: "column", alignItems: "center", padding: 40, color: "#475569" }}>
+              <div style={{ display: "flex", flexDirection: "column", alignItems: "center", padding: 40, color: "#475569" }}>
                 <div style={{ display: "flex", gap: 8 }}>{[0, 1, 2].map(i => <div key={i} style={{ width: 10, height: 10, borderRadius: "50%", background: "#22d3ee", animation: `pulse 1.2s ease ${i * .2}s infinite` }} />)}</div>
                 <div style={{ marginTop: 10, fontSize: 13 }}>Searching...</div>
               </div>
             ) : error ? (
-              <div style={{ gridColumn: "1/-1", textAlign: "center", padding: 30, color: "#fca5a5" }}>
+              <div style={{ textAlign: "center", padding: 30, color: "#fca5a5" }}>
                 <div style={{ fontSize: 24, marginBottom: 8 }}>⚠️</div>
                 <div style={{ fontSize: 14, fontWeight: 600, marginBottom: 6 }}>{error}</div>
                 <div style={{ display: "flex", gap: 8, justifyContent: "center", marginTop: 12 }}>
                   <button onClick={() => doSearch(1)} style={{ padding: "8px 20px", borderRadius: 8, background: "rgba(34,211,238,.12)", color: "#22d3ee", border: "1px solid rgba(34,211,238,.25)", cursor: "pointer", fontSize: 13, fontWeight: 600, fontFamily: "inherit" }}>🔄 Retry</button>
-                  <button onClick={() => { setFType(""); setFSuper(""); setFSet(""); setFLeg("standard"); setSearchName("") }} style={{ padding: "8px 20px", borderRadius: 8, background: "rgba(255,255,255,.06)", color: "#94a3b8", border: "1px solid rgba(255,255,255,.1)", cursor: "pointer", fontSize: 13, fontWeight: 600, fontFamily: "inherit" }}>Reset Filters</button>
+                  <button onClick={() => { clearFilters(); setSearchName("") }} style={{ padding: "8px 20px", borderRadius: 8, background: "rgba(255,255,255,.06)", color: "#94a3b8", border: "1px solid rgba(255,255,255,.1)", cursor: "pointer", fontSize: 13, fontWeight: 600, fontFamily: "inherit" }}>Reset Filters</button>
                 </div>
               </div>
             ) : cards.length === 0 ? (
-              <div style={{ gridColumn: "1/-1", textAlign: "center", padding: 40, color: "#475569" }}><div style={{ fontSize: 36, marginBottom: 8 }}>🔍</div>No cards found</div>
-            ) : cards.map(card => {
-              const inD = !!dCounts[card.name];
-              return (
-                <div key={card.id} onClick={() => setSelCard(card)} style={{ borderRadius: 10, overflow: "hidden", cursor: "pointer", border: inD ? "2px solid rgba(34,211,238,.5)" : "2px solid transparent", opacity: inD ? .75 : 1, aspectRatio: "63/88", position: "relative", transition: "transform .15s, box-shadow .15s", WebkitTapHighlightColor: "transparent" }}>
-                  <img src={card.images?.small} alt={card.name} style={{ width: "100%", height: "100%", objectFit: "cover", display: "block" }} loading="lazy" />
-                  {inD && <div style={{ position: "absolute", top: 3, right: 3, background: "rgba(34,211,238,.9)", color: "#0f172a", borderRadius: 5, padding: "1px 5px", fontSize: 10, fontWeight: 700 }}>×{dCounts[card.name]}</div>}
+              <div style={{ textAlign: "center", padding: 40, color: "#475569" }}><div style={{ fontSize: 36, marginBottom: 8 }}>🔍</div>No cards found</div>
+            ) : (
+              <div style={{ position: "relative", height: gridRows * rowH + gridPad * 2 + 44 }}>
+                <div style={{ position: "absolute", top: gridPad + firstRow * rowH, left: gridPad, right: gridPad, display: "grid", gridTemplateColumns: `repeat(${gridCols},1fr)`, columnGap: gridGap, gridAutoRows: cardView === "list" ? LIST_ROW_H : rowH - gridGap, rowGap: cardView === "list" ? 0 : gridGap }}>
+                  {cards.slice(firstRow * gridCols, lastRow * gridCols).map(card => {
+                    const n = dCounts[copyKey(card)] || 0;
+                    return cardView === "list" ? (
+                      <div key={card.id} onClick={() => setSelCard(card)} style={{ display: "flex", alignItems: "center", gap: 10, padding: "0 8px", borderBottom: "1px solid rgba(255,255,255,.04)", cursor: "pointer", background: n ? "rgba(34,211,238,.05)" : "transparent", WebkitTapHighlightColor: "transparent" }}>
+                        <img src={card.images?.small} alt="" loading="lazy" style={{ width: 26, height: 36, borderRadius: 3, objectFit: "cover", flexShrink: 0 }} />
+                        <div style={{ flex: 1, minWidth: 0 }}>
+                          <div style={{ fontSize: 13, fontWeight: 600, whiteSpace: "nowrap", overflow: "hidden", textOverflow: "ellipsis" }}>{card.name}</div>
+                          <div style={{ fontSize: 11, color: "#475569", whiteSpace: "nowrap", overflow: "hidden", textOverflow: "ellipsis" }}>{setCode(card)} {card.number} · {card.supertype === "Pokémon" ? card.subtypes?.join(" ") : card.subtypes?.[0] || card.supertype}{card.rarity ? ` · ${card.rarity}` : ""}</div>
+                        </div>
+                        <span style={{ fontSize: 13, flexShrink: 0 }}>{(card.types || []).map(t => TC[t]?.icon).join("")}</span>
+                        {card.hp && <span style={{ fontSize: 11, color: "#64748b", width: 46, textAlign: "right", flexShrink: 0 }}>{card.hp} HP</span>}
+                        {n > 0 && <span style={{ ...css.badge("#22d3ee"), flexShrink: 0 }}>×{n}</span>}
+                      </div>
+                    ) : (
+                      <div key={card.id} onClick={() => setSelCard(card)} style={{ borderRadius: 10, overflow: "hidden", cursor: "pointer", border: n ? "2px solid rgba(34,211,238,.5)" : "2px solid transparent", opacity: n ? .75 : 1, position: "relative", transition: "transform .15s, box-shadow .15s", WebkitTapHighlightColor: "transparent" }}>
+                        <img src={card.images?.small} alt={card.name} style={{ width: "100%", height: "100%", objectFit: "cover", display: "block" }} loading="lazy" />
+                        {n > 0 && <div style={{ position: "absolute", top: 3, right: 3, background: "rgba(34,211,238,.9)", color: "#0f172a", borderRadius: 5, padding: "1px 5px", fontSize: 10, fontWeight: 700 }}>×{n}</div>}
+                      </div>
+                    );
+                  })}
                 </div>
-              );
-            })}
+                <div style={{ position: "absolute", top: gridPad + gridRows * rowH, left: 0, right: 0, height: 44, display: "flex", alignItems: "center", justifyContent: "center", gap: 8, fontSize: 12, color: "#475569" }}>
+                  {loadingMore ? [0, 1, 2].map(i => <div key={i} style={{ width: 8, height: 8, borderRadius: "50%", background: "#22d3ee", animation: `pulse 1.2s ease ${i * .2}s infinite` }} />)
+                    : moreError ? <>Couldn't load more cards <button onClick={() => doSearch(page + 1)} style={{ ...css.btn("rgba(34,211,238,.12)", "#22d3ee", "1px solid rgba(34,211,238,.25)"), padding: "4px 10px", fontSize: 12 }}>🔄 Retry</button></>
+                    : !hasMore && `All ${totalCount} cards`}
+                </div>
+              </div>
+            )}
           </div>
-
-          {/* Pagination */}
-          {totalPages > 1 && (
-            <div style={{ display: "flex", justifyContent: "center", alignItems: "center", gap: 16, padding: isMobile ? "10px 16px" : "10px 16px", borderTop: "1px solid rgba(255,255,255,.06)", flexShrink: 0 }}>
-              <button style={{ ...css.btn("rgba(255,255,255,.06)", "#94a3b8", "1px solid rgba(255,255,255,.1)"), opacity: page <= 1 ? .3 : 1 }} disabled={page <= 1} onClick={() => doSearch(page - 1)}>← Prev</button>
-              <span style={{ fontSize: 13, color: "#64748b", fontWeight: 600 }}>{page}/{totalPages}</span>
-              <button style={{ ...css.btn("rgba(255,255,255,.06)", "#94a3b8", "1px solid rgba(255,255,255,.1)"), opacity: page >= totalPages ? .3 : 1 }} disabled={page >= totalPages} onClick={() => doSearch(page + 1)}>Next →</button>
-            </div>
-          )}
         </>
       ) : (
         /* Meta Tab */
         <div style={{ flex: 1, overflow: "auto", padding: 16, WebkitOverflowScrolling: "touch" }}>
-          <div style={{ ...css.sectionTitle, marginBottom: 12 }}>🏆 Meta Archetypes (Current Format)</div>
-          {META.map((m, i) => {
+          <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8, marginBottom: 12 }}>
+            <span style={css.sectionTitle}>🏆 Meta Archetypes</span>
+            {meta.lastUpdated && <span style={{ fontSize: 11, color: "#475569" }}>Updated {meta.lastUpdated}</span>}
+          </div>
+          {metaSnaps.length > 1 && (
+            <select style={{ ...css.select, width: "100%", marginBottom: 12 }} value={metaSnapId} onChange={e => { setMetaSnapId(e.target.value); setExpandedMeta(null) }}>
+              {metaSnaps.map(sn => <option key={sn.id} value={sn.id}>{sn.label}{sn.format ? ` · ${sn.format}` : ""}</option>)}
+            </select>
+          )}
+          {meta.loading && <div style={{ textAlign: "center", padding: 30, color: "#475569", fontSize: 13 }}>Loading meta decks...</div>}
+          {meta.error && (
+            <div style={{ textAlign: "center", padding: 24, borderRadius: 12, color: "#fca5a5", background: "rgba(239,68,68,.06)", border: "1px solid rgba(239,68,68,.12)", marginBottom: 10 }}>
+              <div style={{ fontSize: 24, marginBottom: 8 }}>⚠️</div>
+              <div style={{ fontSize: 13, fontWeight: 600, marginBottom: 12 }}>Couldn't load meta decks — {meta.error}</div>
+              <button onClick={() => { metaCache.clear(); setMetaReload(n => n + 1) }} style={css.btn("rgba(34,211,238,.12)", "#22d3ee", "1px solid rgba(34,211,238,.25)")}>🔄 Retry</button>
+            </div>
+          )}
+          {meta.errors.length > 0 && (
+            <div style={{ padding: "10px 12px", borderRadius: 10, background: "rgba(234,179,8,.06)", border: "1px solid rgba(234,179,8,.15)", marginBottom: 10 }}>
+              <div style={{ fontSize: 12, fontWeight: 700, color: "#fde047", marginBottom: 4 }}>⚠ {meta.errors.length} {meta.errors.length === 1 ? "entry" : "entries"} skipped</div>
+              {meta.errors.map((e, i) => <div key={i} style={{ fontSize: 11, color: "#94a3b8", lineHeight: 1.5 }}>{e}</div>)}
+            </div>
+          )}
+          {!meta.loading && meta.archetypes.map((m, i) => {
             const tc = TC[m.type] || TC.Colorless;
             const isExpanded = expandedMeta === i;
-            const isLoading = metaLoading === i;
+            const isLoading = metaLoading?.index === i, missing = metaMissing[m.name] || [];
             const totalCards = [...m.pokemon, ...m.trainers, ...m.energy].reduce((s, e) => s + e.count, 0);
             return (
               <div key={i} style={{ borderRadius: 12, background: "rgba(255,255,255,.03)", border: isExpanded ? "1px solid rgba(34,211,238,.25)" : "1px solid rgba(255,255,255,.06)", marginBottom: 10, overflow: "hidden", transition: "border-color .2s" }}>
@@ -521,6 +1446,10 @@ export default function App() {
                     <span style={{ fontWeight: 700, fontSize: 15 }}>{tc.icon} {m.name}</span>
                     <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
                       <span style={css.badge(m.tier === "S" ? "#eab308" : "#22d3ee")}>Tier {m.tier}</span>
+                      {hasCollection && (() => {
+                        const r = collectionReport(metaRequirements(m), collection, true);
+                        return <span onClick={e => { e.stopPropagation(); setCollSource(`meta:${i}`); setModal("collection") }} title="Owned / required copies" style={{ ...css.badge(r.missing ? "#eab308" : "#10b981"), cursor: "pointer" }}>📦 {r.owned}/{r.need}</span>;
+                      })()}
                       <span style={{ fontSize: 12, color: "#475569" }}>{totalCards} cards</span>
                       <span style={{ fontSize: 14, color: "#475569", transition: "transform .2s", transform: isExpanded ? "rotate(180deg)" : "rotate(0)" }}>▼</span>
                     </div>
@@ -574,11 +1503,17 @@ export default function App() {
                       }}
                     >
                       {isLoading ? (
-                        <><span style={{ display: "inline-flex", gap: 4 }}>{[0,1,2].map(d => <span key={d} style={{ width: 6, height: 6, borderRadius: "50%", background: "#64748b", animation: `pulse 1s ease ${d*.2}s infinite` }}/>)}</span> Loading deck...</>
+                        <><span style={{ display: "inline-flex", gap: 4 }}>{[0,1,2].map(d => <span key={d} style={{ width: 6, height: 6, borderRadius: "50%", background: "#64748b", animation: `pulse 1s ease ${d*.2}s infinite` }}/>)}</span> Loading {metaLoading.done} of {metaLoading.total}...</>
                       ) : (
                         <>🚀 Load This Deck into Builder</>
                       )}
                     </button>
+                    {!isLoading && missing.length > 0 && (
+                      <div style={{ marginTop: 8, padding: "8px 10px", borderRadius: 8, background: "rgba(239,68,68,.06)", border: "1px solid rgba(239,68,68,.12)" }}>
+                        <div style={{ fontSize: 12, fontWeight: 700, color: "#fca5a5", marginBottom: 4 }}>✕ Not found — add these by hand</div>
+                        {missing.map(n => <div key={n} style={{ fontSize: 11, color: "#94a3b8" }}>{n}</div>)}
+                      </div>
+                    )}
                   </div>
                 )}
               </div>
@@ -586,23 +1521,51 @@ export default function App() {
           })}
           <div style={{ marginTop: 12, padding: 14, borderRadius: 10, background: "rgba(34,211,238,.04)", border: "1px solid rgba(34,211,238,.12)" }}>
             <div style={{ fontSize: 12, fontWeight: 700, color: "#22d3ee", marginBottom: 6 }}>🔄 Auto-Updating</div>
-            <div style={{ fontSize: 12, color: "#64748b", lineHeight: 1.6 }}>New sets and cards appear automatically via the live Pokémon TCG API. No manual updates needed!</div>
+            <div style={{ fontSize: 12, color: "#64748b", lineHeight: 1.6 }}>New sets and cards appear automatically via the live Pokémon TCG API. Archetypes come from <code>meta.json</code>, so the list updates without a code change.</div>
           </div>
         </div>
       )}
     </div>
   );
 
+  const renderDeckRow = ({ card, count }) => {
+    const tc = TC[card.types?.[0]] || TC.Colorless;
+    const isB = isBasicEnergy(card), atMax = !isB && (dCounts[copyKey(card)] || 0) >= copyLimitOf(fmt, card), bad = a.badIds.has(card.id);
+    return (
+      <div key={card.id} title={bad ? a.violations.filter(v => v.cardIds.includes(card.id)).map(v => v.message).join("\n") : undefined} style={{ display: "flex", alignItems: "center", gap: isMobile ? 10 : 8, padding: isMobile ? "8px 10px" : "5px 10px", borderRadius: 8, background: bad ? "rgba(239,68,68,.1)" : "rgba(30,41,59,.35)", border: bad ? "1px solid rgba(239,68,68,.3)" : "1px solid transparent", marginBottom: 3 }}>
+        <img src={card.images?.small} alt="" style={{ width: isMobile ? 36 : 30, height: isMobile ? 50 : 42, borderRadius: 4, objectFit: "cover", flexShrink: 0 }} onClick={() => setSelCard(card)} />
+        <div style={{ flex: 1, minWidth: 0 }}>
+          <div style={{ fontSize: isMobile ? 14 : 13, fontWeight: 500, whiteSpace: "nowrap", overflow: "hidden", textOverflow: "ellipsis" }}>{card.name}</div>
+          <div style={{ fontSize: isMobile ? 11 : 10, color: "#475569" }}>{card.set?.name}</div>
+        </div>
+        <div style={{ display: "flex", alignItems: "center", gap: 6, flexShrink: 0 }}>
+          <button onClick={() => removeCard(card)} style={{ width: isMobile ? 34 : 24, height: isMobile ? 34 : 24, borderRadius: 8, border: "1px solid rgba(255,255,255,.12)", background: "rgba(30,41,59,.8)", color: "#94a3b8", fontSize: isMobile ? 18 : 14, display: "flex", alignItems: "center", justifyContent: "center", cursor: "pointer", WebkitTapHighlightColor: "transparent" }}>−</button>
+          <span style={{ fontWeight: 700, fontSize: isMobile ? 16 : 14, minWidth: 20, textAlign: "center", color: tc.bg }}>{count}</span>
+          <button onClick={() => !atMax && addCard(card)} style={{ width: isMobile ? 34 : 24, height: isMobile ? 34 : 24, borderRadius: 8, border: "1px solid rgba(255,255,255,.12)", background: "rgba(30,41,59,.8)", color: "#94a3b8", fontSize: isMobile ? 18 : 14, display: "flex", alignItems: "center", justifyContent: "center", cursor: atMax ? "not-allowed" : "pointer", opacity: atMax ? .3 : 1, WebkitTapHighlightColor: "transparent" }}>+</button>
+        </div>
+      </div>
+    );
+  };
+
   const renderDeck = () => (
     <div style={{ display: "flex", flexDirection: "column", height: "100%", overflow: "hidden" }}>
       <div style={{ padding: "10px 16px", borderBottom: "1px solid rgba(255,255,255,.06)", display: "flex", alignItems: "center", justifyContent: "space-between", background: "rgba(15,23,42,.5)", flexShrink: 0, gap: 8 }}>
         <div style={{ display: "flex", alignItems: "center", gap: 8, flex: 1, minWidth: 0 }}>
           <input style={{ ...css.input, fontSize: isMobile ? 15 : 14, fontWeight: 700, padding: "6px 12px", maxWidth: isMobile ? 140 : 180 }} value={deckName} onChange={e => setDeckName(e.target.value)} />
-          <span style={{ ...css.badge(a.total === 60 ? "#10b981" : a.total > 60 ? "#ef4444" : "#eab308"), fontSize: 13, fontWeight: 800, whiteSpace: "nowrap" }}>{a.total}/60</span>
+          <span style={{ ...css.badge(a.total === fmt.deckSize ? "#10b981" : a.total > fmt.deckSize ? "#ef4444" : "#eab308"), fontSize: 13, fontWeight: 800, whiteSpace: "nowrap" }}>{a.total}/{fmt.deckSize}</span>
+          <select style={{ ...css.select, flex: "none", padding: "5px 8px", fontSize: 12 }} value={fmt.id} onChange={e => e.target.value === "*manage" ? setModal("formats") : changeFormat(e.target.value)}>
+            {Object.values(formats).map(f => <option key={f.id} value={f.id}>{f.name}</option>)}
+            <option value="*manage">⚙️ Formats...</option>
+          </select>
+          {a.badIds.size > 0 && <span title="Cards breaking format rules" style={{ ...css.badge("#ef4444"), whiteSpace: "nowrap" }}>✕ {a.badIds.size}</span>}
+          {hasCollection && deck.length > 0 && <span onClick={() => { setCollSource("deck"); setModal("collection") }} title="Owned / required copies" style={{ ...css.badge(deckOwned.missing ? "#eab308" : "#10b981"), whiteSpace: "nowrap", cursor: "pointer" }}>📦 {deckOwned.owned}/{deckOwned.need}</span>}
         </div>
         <div style={{ display: "flex", gap: 6, flexShrink: 0 }}>
-          <button style={css.btn("rgba(239,68,68,.1)", "#fca5a5", "1px solid rgba(239,68,68,.2)")} onClick={() => setDeck([])}>🗑️</button>
-          <button style={css.btn("linear-gradient(135deg,#ef4444,#f97316)", "white")} onClick={saveDeck}>💾</button>
+          {!isMobile && <button style={css.btn("rgba(255,255,255,.06)", "#94a3b8", "1px solid rgba(255,255,255,.1)")} disabled={!deck.length} onClick={() => { setProxyQty({}); setModal("proxies") }} title="Print proxies">🖨️</button>}
+          <button style={{ ...css.btn("rgba(255,255,255,.06)", deckHistory.canUndo ? "#94a3b8" : "#334155", "1px solid rgba(255,255,255,.1)"), padding: isMobile ? "10px 10px" : "7px 9px" }} disabled={!deckHistory.canUndo} onClick={deckHistory.undo} title="Undo (Ctrl+Z)">↶</button>
+          <button style={{ ...css.btn("rgba(255,255,255,.06)", deckHistory.canRedo ? "#94a3b8" : "#334155", "1px solid rgba(255,255,255,.1)"), padding: isMobile ? "10px 10px" : "7px 9px" }} disabled={!deckHistory.canRedo} onClick={deckHistory.redo} title="Redo (Ctrl+Shift+Z)">↷</button>
+          <button style={css.btn("rgba(239,68,68,.1)", "#fca5a5", "1px solid rgba(239,68,68,.2)")} disabled={!deck.length} onClick={() => replaceDeck([], "Deck cleared")}>🗑️</button>
+          <button style={css.btn("linear-gradient(135deg,#ef4444,#f97316)", "white")} onClick={() => saveDeck()}>💾</button>
         </div>
       </div>
 
@@ -615,7 +1578,7 @@ export default function App() {
               {isMobile ? "Tap the Search tab to find cards and add them to your deck." : "Search for cards on the left and click to add them."}
             </div>
             <div style={{ marginTop: 16, display: "flex", gap: 8, flexWrap: "wrap", justifyContent: "center" }}>
-              {[["📌", "Max 4 copies", "#22d3ee"], ["♾️", "∞ Basic Energy", "#a78bfa"], ["🎯", "60 cards", "#10b981"]].map(([ico, txt, c]) => (
+              {[["📌", fmt.maxCopies === 1 ? "Singleton" : `Max ${fmt.maxCopies} copies`, "#22d3ee"], ["♾️", "∞ Basic Energy", "#a78bfa"], ["🎯", `${fmt.deckSize} cards`, "#10b981"]].map(([ico, txt, c]) => (
                 <div key={txt} style={{ padding: "8px 12px", borderRadius: 8, background: `${c}0a`, border: `1px solid ${c}20`, fontSize: 12, color: c }}>{ico} {txt}</div>
               ))}
             </div>
@@ -629,24 +1592,19 @@ export default function App() {
                 <div style={{ ...css.sectionTitle, padding: "6px 0", borderBottom: "1px solid rgba(255,255,255,.06)", marginBottom: 6, display: "flex", justifyContent: "space-between" }}>
                   <span>{st}</span><span style={{ color: "#22d3ee" }}>{cnt}</span>
                 </div>
-                {entries.map(({ card, count }) => {
-                  const tc = TC[card.types?.[0]] || TC.Colorless;
-                  const isB = BASIC_ENERGY.includes(card.name), atMax = !isB && count >= MAX_COPIES;
+                {st === "Pokémon" ? lines.map(l => {
+                  const rows = l.members.flatMap(m => m.cards.map(c => grouped["Pokémon"][c.id]).filter(Boolean));
+                  if (l.members.length === 1 && !l.warnings.length) return <div key={l.root}>{rows.map(renderDeckRow)}</div>;
                   return (
-                    <div key={card.id} style={{ display: "flex", alignItems: "center", gap: isMobile ? 10 : 8, padding: isMobile ? "8px 10px" : "5px 10px", borderRadius: 8, background: "rgba(30,41,59,.35)", marginBottom: 3 }}>
-                      <img src={card.images?.small} alt="" style={{ width: isMobile ? 36 : 30, height: isMobile ? 50 : 42, borderRadius: 4, objectFit: "cover", flexShrink: 0 }} onClick={() => setSelCard(card)} />
-                      <div style={{ flex: 1, minWidth: 0 }}>
-                        <div style={{ fontSize: isMobile ? 14 : 13, fontWeight: 500, whiteSpace: "nowrap", overflow: "hidden", textOverflow: "ellipsis" }}>{card.name}</div>
-                        <div style={{ fontSize: isMobile ? 11 : 10, color: "#475569" }}>{card.set?.name}</div>
-                      </div>
-                      <div style={{ display: "flex", alignItems: "center", gap: 6, flexShrink: 0 }}>
-                        <button onClick={() => removeCard(card)} style={{ width: isMobile ? 34 : 24, height: isMobile ? 34 : 24, borderRadius: 8, border: "1px solid rgba(255,255,255,.12)", background: "rgba(30,41,59,.8)", color: "#94a3b8", fontSize: isMobile ? 18 : 14, display: "flex", alignItems: "center", justifyContent: "center", cursor: "pointer", WebkitTapHighlightColor: "transparent" }}>−</button>
-                        <span style={{ fontWeight: 700, fontSize: isMobile ? 16 : 14, minWidth: 20, textAlign: "center", color: tc.bg }}>{count}</span>
-                        <button onClick={() => !atMax && addCard(card)} style={{ width: isMobile ? 34 : 24, height: isMobile ? 34 : 24, borderRadius: 8, border: "1px solid rgba(255,255,255,.12)", background: "rgba(30,41,59,.8)", color: "#94a3b8", fontSize: isMobile ? 18 : 14, display: "flex", alignItems: "center", justifyContent: "center", cursor: atMax ? "not-allowed" : "pointer", opacity: atMax ? .3 : 1, WebkitTapHighlightColor: "transparent" }}>+</button>
+                    <div key={l.root} style={{ marginBottom: 8, paddingLeft: 8, borderLeft: `2px solid ${l.warnings.length ? "rgba(234,179,8,.5)" : "rgba(34,211,238,.25)"}` }}>
+                      <div title={l.warnings.map(w => w.message).join("\n") || undefined} style={{ display: "flex", justifyContent: "space-between", fontSize: 11, color: l.warnings.length ? "#fde047" : "#64748b", margin: "2px 0 4px" }}>
+                        <span>{l.members.map(m => m.name).join(" → ")}</span>
+                        <span style={{ fontWeight: 700 }}>{l.warnings.length ? "⚠ " : ""}{l.ratio}</span>
                       </div>
+                      {rows.map(renderDeckRow)}
                     </div>
                   );
-                })}
+                }) : entries.map(renderDeckRow)}
               </div>
             );
           })
@@ -659,6 +1617,8 @@ export default function App() {
           <button style={{ ...css.btn("rgba(255,255,255,.06)", "#94a3b8", "1px solid rgba(255,255,255,.1)"), flex: 1, justifyContent: "center" }} onClick={() => setModal("export")}>📤 Export</button>
           <button style={{ ...css.btn("rgba(255,255,255,.06)", "#94a3b8", "1px solid rgba(255,255,255,.1)"), flex: 1, justifyContent: "center" }} onClick={() => setModal("import")}>📥 Import</button>
           <button style={{ ...css.btn("rgba(255,255,255,.06)", "#94a3b8", "1px solid rgba(255,255,255,.1)"), flex: 1, justifyContent: "center" }} onClick={() => setModal("saved")}>📂 Saved</button>
+          <button style={{ ...css.btn("rgba(255,255,255,.06)", "#94a3b8", "1px solid rgba(255,255,255,.1)"), justifyContent: "center" }} onClick={() => { setProxyQty({}); setModal("proxies") }} title="Print proxies">🖨️</button>
+          <button style={{ ...css.btn("rgba(255,255,255,.06)", "#94a3b8", "1px solid rgba(255,255,255,.1)"), justifyContent: "center" }} disabled={!savedDecks.length} onClick={() => openGames(currentDeckId)} title="Game log">📊</button>
         </div>
       )}
     </div>
@@ -668,7 +1628,8 @@ export default function App() {
     <div style={{ display: "flex", flexDirection: "column", height: "100%", overflow: "auto", WebkitOverflowScrolling: "touch" }}>
       <div style={{ padding: "10px 16px", borderBottom: "1px solid rgba(255,255,255,.06)", display: "flex", alignItems: "center", justifyContent: "space-between", background: "rgba(15,23,42,.6)", flexShrink: 0 }}>
         <span style={css.sectionTitle}>Deck Analytics</span>
-        {a.valid && <span style={{ ...css.badge("#4ade80"), fontWeight: 700 }}>✓ Valid</span>}
+        {a.valid ? <span style={{ ...css.badge("#4ade80"), fontWeight: 700 }}>✓ Valid</span>
+          : a.total > 0 && <span style={{ ...css.badge("#ef4444"), fontWeight: 700 }}>✕ Not legal</span>}
       </div>
 
       <div style={{ padding: isMobile ? 12 : 16 }}>
@@ -687,10 +1648,10 @@ export default function App() {
           <div style={{ marginTop: 10 }}>
             <div style={{ display: "flex", justifyContent: "space-between", marginBottom: 3 }}>
               <span style={{ fontSize: 10, color: "#64748b" }}>Progress</span>
-              <span style={{ fontSize: 10, fontWeight: 700, color: a.total === 60 ? "#10b981" : "#94a3b8" }}>{Math.round(a.total / 60 * 100)}%</span>
+              <span style={{ fontSize: 10, fontWeight: 700, color: a.total === fmt.deckSize ? "#10b981" : "#94a3b8" }}>{Math.round(a.total / fmt.deckSize * 100)}%</span>
             </div>
             <div style={{ height: 8, borderRadius: 4, background: "rgba(255,255,255,.06)", overflow: "hidden" }}>
-              <div style={{ height: "100%", borderRadius: 4, width: `${Math.min(a.total / 60 * 100, 100)}%`, background: a.total === 60 ? "#10b981" : a.total > 60 ? "#ef4444" : "linear-gradient(90deg,#22d3ee,#3b82f6)", transition: "width .4s" }} />
+              <div style={{ height: "100%", borderRadius: 4, width: `${Math.min(a.total / fmt.deckSize * 100, 100)}%`, background: a.total === fmt.deckSize ? "#10b981" : a.total > fmt.deckSize ? "#ef4444" : "linear-gradient(90deg,#22d3ee,#3b82f6)", transition: "width .4s" }} />
             </div>
           </div>
         </div>
@@ -715,6 +1676,58 @@ export default function App() {
           </div>
         )}
 
+        {/* Energy & Attack Costs */}
+        {Object.keys(ep.costByType).length > 0 && (
+          <div style={{ marginBottom: 16 }}>
+            <div style={{ ...css.sectionTitle, marginBottom: 10 }}>Energy & Attack Costs</div>
+            <div style={{ fontSize: 11, color: "#64748b", marginBottom: 6 }}>Energy symbols across all attacks</div>
+            {Object.entries(ep.costByType).sort((x, y) => y[1] - x[1]).map(([t, c]) => {
+              const tc = TC[t] || TC.Colorless, mx = Math.max(...Object.values(ep.costByType), 1), run = ep.basics[t] || 0;
+              return (
+                <div key={t} style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 6 }}>
+                  <span style={{ fontSize: 14, width: 22 }}>{tc.icon}</span>
+                  <span style={{ fontSize: 12, color: "#94a3b8", width: 60 }}>{t}</span>
+                  <div style={{ flex: 1, height: 6, borderRadius: 3, background: "rgba(255,255,255,.06)", overflow: "hidden" }}>
+                    <div style={{ height: "100%", borderRadius: 3, background: tc.bg, width: `${(c / mx) * 100}%`, transition: "width .4s" }} />
+                  </div>
+                  <span style={{ fontSize: 12, fontWeight: 700, color: tc.bg, width: 20, textAlign: "right" }}>{c}</span>
+                  <span title="Basic Energy of this type in the deck" style={{ fontSize: 11, color: "#475569", width: 42, textAlign: "right" }}>{t === "Colorless" ? "" : `run ${run}`}</span>
+                </div>
+              );
+            })}
+            <div style={{ display: "grid", gridTemplateColumns: "repeat(5,1fr)", gap: 6, margin: "10px 0" }}>
+              {ep.costSizes.map((n, i) => (
+                <div key={i} style={{ textAlign: "center", padding: "6px 0", borderRadius: 8, background: "rgba(255,255,255,.03)" }}>
+                  <div style={{ fontSize: 15, fontWeight: 800, color: "#fbbf24" }}>{n}</div>
+                  <div style={{ fontSize: 10, color: "#475569" }}>{i === 4 ? "4+" : i} cost</div>
+                </div>
+              ))}
+            </div>
+            <div style={{ fontSize: 12, color: "#94a3b8", marginBottom: 8 }}>Average retreat cost: <b style={{ color: "#e2e8f0" }}>{ep.avgRetreat.toFixed(1)}</b></div>
+            {ep.missing.length > 0 && (
+              <div style={{ padding: "6px 10px", borderRadius: 8, background: "rgba(239,68,68,.06)", border: "1px solid rgba(239,68,68,.12)", marginBottom: 4, fontSize: 12, color: "#fca5a5" }}>
+                ✕ Attacks need {ep.missing.map(t => `${TC[t]?.icon || ""} ${t}`).join(", ")} but the deck runs no Energy that provides it
+              </div>
+            )}
+            {ep.unused.length > 0 && (
+              <div style={{ padding: "6px 10px", borderRadius: 8, background: "rgba(234,179,8,.06)", border: "1px solid rgba(234,179,8,.12)", marginBottom: 4, fontSize: 12, color: "#fde047" }}>
+                ⚠ {ep.unused.map(t => `${TC[t]?.icon || ""} ${t}`).join(", ")} Energy isn't used by any attack cost
+              </div>
+            )}
+            {ep.splitTotal > 0 && (
+              <div style={{ marginTop: 8 }}>
+                <div style={{ fontSize: 11, color: "#64748b", marginBottom: 6 }}>Suggested split for {ep.splitTotal} basic Energy, weighted by the typed attack costs of each Pokémon</div>
+                <div style={{ display: "flex", flexWrap: "wrap", gap: 6 }}>
+                  {Object.entries(ep.split).sort((x, y) => y[1] - x[1]).map(([t, n]) => {
+                    const run = ep.basics[t] || 0;
+                    return <span key={t} style={css.badge(TC[t]?.bg || "#9E9E9E")}>{TC[t]?.icon} {n} {t}{run !== n ? ` (now ${run})` : ""}</span>;
+                  })}
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+
         {/* Trainer Breakdown */}
         {a.tr > 0 && (
           <div style={{ marginBottom: 16 }}>
@@ -746,15 +1759,107 @@ export default function App() {
           </div>
         )}
 
+        {/* Consistency */}
+        {a.pk > 0 && sim && (() => {
+          const N = deck.length, basics = deck.filter(isBasicPokemon).length, pct = v => `${(v * 100).toFixed(1)}%`;
+          const K = nameCounts.find(([n]) => n === liveKey)?.[1] || 0;
+          const outCount = nameCounts.filter(([n]) => liveOuts.includes(n)).reduce((s, [, c]) => s + c, 0);
+          const row = (l, v, sub) => (
+            <div key={l} style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", padding: "4px 0", fontSize: 12 }}>
+              <span style={{ color: "#94a3b8" }}>{l}</span>
+              <span><span style={{ fontWeight: 700, color: "#22d3ee" }}>{v}</span>{sub && <span style={{ fontSize: 10, color: "#475569", marginLeft: 6 }}>{sub}</span>}</span>
+            </div>
+          );
+          return (
+            <div style={{ marginBottom: 16 }}>
+              <div style={{ ...css.sectionTitle, marginBottom: 10 }}>Consistency · {sim.trials.toLocaleString()} sims</div>
+              {row("Basic in opening 7", pct(hyperAtLeast(N, basics, 7)), `${basics} Basics`)}
+              {row("Mulligan rate", pct(sim.trials ? sim.mulligan : 1), `exact ${pct(1 - hyperAtLeast(N, basics, 7))}`)}
+
+              <div style={{ fontSize: 11, color: "#64748b", margin: "10px 0 6px" }}>Key card</div>
+              <select style={{ ...css.select, width: "100%" }} value={liveKey} onChange={e => setKeyCard(e.target.value)}>
+                <option value="">Pick a card...</option>
+                {nameCounts.map(([n, c]) => <option key={n} value={n}>{n} ×{c}</option>)}
+              </select>
+              {liveKey && sim.keys[liveKey] && <>
+                {row("In opening hand", pct(sim.keys[liveKey].hand), `exact ${pct(hyperAtLeast(N, K, 7))}`)}
+                {row("At least one prized", pct(sim.keys[liveKey].prized), `exact ${pct(hyperAtLeast(N, K, 6))}`)}
+                {row("All copies prized", pct(sim.keys[liveKey].allPrized))}
+              </>}
+
+              <div style={{ fontSize: 11, color: "#64748b", margin: "10px 0 6px" }}>Outs — any of</div>
+              <div style={{ display: "flex", flexWrap: "wrap", gap: 4 }}>
+                {nameCounts.map(([n, c]) => {
+                  const on = liveOuts.includes(n);
+                  return <span key={n} onClick={() => setOuts(on ? liveOuts.filter(o => o !== n) : [...liveOuts, n])} style={{ ...css.badge(on ? "#22d3ee" : "#475569"), cursor: "pointer", WebkitTapHighlightColor: "transparent" }}>{n} ×{c}</span>;
+                })}
+              </div>
+              {liveOuts.length > 0 && (
+                <div style={{ marginTop: 6 }}>
+                  {sim.outsByTurn.map((v, t) => row(t === 0 ? "Opening hand" : `By turn ${t}`, pct(v), `${outCount} outs · no prizes ${pct(hyperAtLeast(N, outCount, 7 + t))}`))}
+                </div>
+              )}
+            </div>
+          );
+        })()}
+
+        {/* Matchups */}
+        {a.pk > 0 && meta.archetypes.length > 0 && (
+          <div style={{ marginBottom: 16 }}>
+            <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", marginBottom: 10 }}>
+              <span style={css.sectionTitle}>Matchups vs Meta</span>
+              {!metaCards && <button onClick={analyseMatchups} disabled={matchupBusy} style={{ ...css.btn("rgba(34,211,238,.12)", "#22d3ee", "1px solid rgba(34,211,238,.3)"), padding: "4px 10px", fontSize: 11, opacity: matchupBusy ? .6 : 1 }}>{matchupBusy ? "Loading..." : "⚔️ Analyse"}</button>}
+            </div>
+            {!metaCards ? (
+              <div style={{ fontSize: 11, color: "#475569" }}>Checks weakness and one- and two-hit KOs against the key Pokémon of each archetype.</div>
+            ) : matchups.map(m => {
+              const tone = { favourable: "#4ade80", even: "#eab308", unfavourable: "#ef4444" }[m.rating] || "#64748b";
+              const open = openMatchup === m.name;
+              const kos = (rows, who) => rows.map(r => (
+                <div key={r.name} style={{ fontSize: 11, color: "#94a3b8", padding: "2px 0" }}>
+                  <b style={{ color: "#e2e8f0" }}>{r.name}</b> <span style={{ color: "#475569" }}>{r.hp} HP</span> — {r.one.length ? <span style={{ color: "#4ade80" }}>{r.one.length} OHKO</span> : r.two.length ? <span style={{ color: "#eab308" }}>{r.two.length} in two hits</span> : <span style={{ color: "#ef4444" }}>out of {who} reach</span>}
+                  {open && [...r.one, ...r.two].length > 0 && <div style={{ fontSize: 10, color: "#475569", paddingLeft: 8 }}>{[...r.one, ...r.two].join(" · ")}</div>}
+                </div>
+              ));
+              return (
+                <div key={m.name} style={{ padding: "8px 10px", marginBottom: 6, borderRadius: 8, background: "rgba(255,255,255,.03)", borderLeft: `3px solid ${(TC[m.type] || TC.Colorless).bg}` }}>
+                  <div onClick={() => setOpenMatchup(open ? null : m.name)} style={{ display: "flex", alignItems: "center", gap: 8, cursor: "pointer", WebkitTapHighlightColor: "transparent" }}>
+                    <span style={{ flex: 1, fontSize: 12, fontWeight: 700 }}>{m.name}</span>
+                    <span style={{ ...css.badge(tone), textTransform: "capitalize" }}>{m.rating === "unknown" ? "No attackers" : m.rating}</span>
+                    <span style={{ fontSize: 10, color: "#475569" }}>{open ? "▲" : "▼"}</span>
+                  </div>
+                  <div style={{ fontSize: 11, marginTop: 4, color: "#94a3b8" }}>
+                    {m.hitsWeakness.length > 0 && <div><span style={{ color: "#4ade80" }}>✓ Weakness:</span> {m.hitsWeakness.map(h => `${h.name} → ${h.targets.join(", ")}`).join("; ")}</div>}
+                    {m.weakTo.length > 0 && <div><span style={{ color: "#ef4444" }}>✕ Weak to them:</span> {m.weakTo.map(w => `${w.name} ← ${w.attackers.join(", ")}`).join("; ")}</div>}
+                  </div>
+                  {open && (
+                    <div style={{ marginTop: 6 }}>
+                      <div style={{ fontSize: 10, color: "#64748b", margin: "4px 0 2px" }}>Our attacks vs their key Pokémon</div>
+                      {kos(m.offense, "our")}
+                      <div style={{ fontSize: 10, color: "#64748b", margin: "6px 0 2px" }}>Their attacks vs ours</div>
+                      {kos(m.defense, "their")}
+                      {m.unresolved > 0 && <div style={{ fontSize: 10, color: "#eab308", marginTop: 4 }}>{m.unresolved} of their Pokémon couldn't be looked up</div>}
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+            {metaCards && <div style={{ fontSize: 10, color: "#475569", marginTop: 4 }}>Printed base damage only — coin flips, spread and "+" effects aren't counted.</div>}
+          </div>
+        )}
+
         {/* Issues */}
-        {a.issues.length > 0 && (
+        {a.violations.length > 0 && (
           <div style={{ marginBottom: 16 }}>
-            <div style={{ ...css.sectionTitle, marginBottom: 10 }}>⚠️ Issues</div>
-            {a.issues.map((iss, i) => (
-              <div key={i} style={{ display: "flex", alignItems: "start", gap: 6, padding: "8px 10px", borderRadius: 8, background: "rgba(239,68,68,.06)", marginBottom: 4, fontSize: 12, color: "#fca5a5", border: "1px solid rgba(239,68,68,.12)" }}>
-                <span>⚠</span><span>{iss}</span>
-              </div>
-            ))}
+            <div style={{ ...css.sectionTitle, marginBottom: 10 }}>⚠️ Issues · {fmt.name}</div>
+            {a.violations.map((v, i) => {
+              const err = v.severity === "error";
+              return (
+                <div key={i} style={{ display: "flex", alignItems: "start", gap: 6, padding: "8px 10px", borderRadius: 8, background: err ? "rgba(239,68,68,.06)" : "rgba(234,179,8,.06)", marginBottom: 4, fontSize: 12, color: err ? "#fca5a5" : "#fde047", border: `1px solid ${err ? "rgba(239,68,68,.12)" : "rgba(234,179,8,.12)"}` }}>
+                  <span>{err ? "✕" : "⚠"}</span><span>{v.message}</span>
+                </div>
+              );
+            })}
           </div>
         )}
 
@@ -767,21 +1872,81 @@ export default function App() {
     </div>
   );
 
-  // ── Modal Backdrop ──
-  const Overlay = ({ children, onClose }) => (
-    <div onClick={onClose} style={{ position: "fixed", inset: 0, background: "rgba(0,0,0,.7)", backdropFilter: "blur(8px)", display: "flex", alignItems: "center", justifyContent: "center", zIndex: 200, padding: isMobile ? 12 : 20 }}>
-      <div onClick={e => e.stopPropagation()} style={{ background: "#1e293b", borderRadius: isMobile ? 14 : 16, padding: isMobile ? 18 : 24, width: "100%", maxWidth: isMobile ? "100%" : 680, maxHeight: isMobile ? "92vh" : "85vh", overflow: "auto", border: "1px solid rgba(255,255,255,.1)", boxShadow: "0 20px 60px rgba(0,0,0,.5)", WebkitOverflowScrolling: "touch" }}>
-        {children}
+  const renderPlaytest = () => {
+    const cw = isMobile ? 54 : 66;
+    const cardImg = (zone, i, idx) => {
+      const c = ptCards[idx], sel = ptSel?.zone === zone && ptSel?.i === i;
+      return (
+        <img key={`${zone}-${i}`} src={c.images?.small} alt={c.name} title={c.name} onClick={() => setPtSel(sel ? null : { zone, i })}
+          style={{ width: cw, aspectRatio: "63/88", borderRadius: 5, objectFit: "cover", flexShrink: 0, cursor: "pointer", outline: sel ? "2px solid #22d3ee" : "none", outlineOffset: 1, WebkitTapHighlightColor: "transparent" }} />
+      );
+    };
+    const cardBack = key => <div key={key} style={{ width: cw, aspectRatio: "63/88", borderRadius: 5, flexShrink: 0, background: "linear-gradient(135deg,#1d4ed8,#ef4444)", border: "2px solid rgba(255,255,255,.25)" }} />;
+    const zone = (title, children, extra) => (
+      <div style={{ marginBottom: 12 }}>
+        <div style={{ ...css.sectionTitle, marginBottom: 6, display: "flex", justifyContent: "space-between" }}><span>{title}</span>{extra}</div>
+        <div style={{ display: "flex", gap: 6, overflowX: "auto", minHeight: cw * 88 / 63, paddingBottom: 4, WebkitOverflowScrolling: "touch" }}>{children}</div>
       </div>
-    </div>
-  );
+    );
+    const sm = { ...css.btn("rgba(255,255,255,.06)", "#94a3b8", "1px solid rgba(255,255,255,.1)"), padding: isMobile ? "8px 12px" : "6px 10px", fontSize: 12 };
+
+    return (
+      <div style={{ display: "flex", flexDirection: "column", height: "100%", overflow: "hidden" }}>
+        <div style={{ padding: "10px 16px", borderBottom: "1px solid rgba(255,255,255,.06)", display: "flex", alignItems: "center", gap: 6, flexWrap: "wrap", background: "rgba(15,23,42,.6)", flexShrink: 0 }}>
+          <span style={css.sectionTitle}>Playtest</span>
+          <input style={{ ...css.input, width: 90, padding: "5px 8px", fontSize: 12 }} type="number" value={ptSeed} onChange={e => setPtSeed(parseInt(e.target.value) || 0)} title="Seed" />
+          <button style={sm} disabled={!deck.length} onClick={() => dealHand(ptSeed)}>↺ Reset</button>
+          <button style={sm} disabled={!deck.length} onClick={() => { const sd = Math.floor(Math.random() * 1e6); setPtSeed(sd); dealHand(sd) }}>🎲 New</button>
+          {pt && <button style={sm} onClick={() => dealHand(pt.seed, pt.mulligans + 1, ptCards)}>Mulligan</button>}
+          {pt && <button style={{ ...sm, ...css.btn("linear-gradient(135deg,#ef4444,#f97316)", "white"), padding: sm.padding, fontSize: 12 }} disabled={!pt.library.length} onClick={ptDraw}>Draw</button>}
+        </div>
 
-  const ModalHeader = ({ title, onClose }) => (
-    <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 16 }}>
-      <h3 style={{ fontSize: isMobile ? 18 : 17, fontWeight: 700, margin: 0 }}>{title}</h3>
-      <button onClick={onClose} style={{ width: 36, height: 36, borderRadius: 10, border: "none", background: "rgba(255,255,255,.06)", color: "#64748b", fontSize: 18, cursor: "pointer", display: "flex", alignItems: "center", justifyContent: "center" }}>✕</button>
-    </div>
-  );
+        <div style={{ flex: 1, overflow: "auto", padding: isMobile ? 12 : 16, WebkitOverflowScrolling: "touch" }}>
+          {!pt ? (
+            <div style={{ textAlign: "center", color: "#475569", padding: 40 }}>
+              <div style={{ fontSize: 40, marginBottom: 10 }}>🎲</div>
+              {deck.length ? "Deal a hand to start goldfishing this list." : "Add cards to your deck first."}
+            </div>
+          ) : (
+            <>
+              <div style={{ display: "flex", gap: 6, marginBottom: 12, flexWrap: "wrap" }}>
+                <span style={css.badge("#22d3ee")}>Seed {pt.seed}</span>
+                <span style={css.badge("#a78bfa")}>Deck {pt.library.length}</span>
+                <span style={css.badge("#fbbf24")}>Prizes {pt.prizes.length}</span>
+                {pt.mulligans > 0 && <span style={css.badge("#ef4444")}>Mulligans {pt.mulligans}</span>}
+                {!pt.hand.some(i => isBasicPokemon(ptCards[i])) && !pt.active.length && <span style={css.badge("#ef4444")}>No Basic in hand</span>}
+              </div>
+              {zone("Prizes", pt.prizes.map((_, i) => <div key={i} onClick={() => ptMove("prizes", i, "hand")} title="Take prize" style={{ cursor: "pointer" }}>{cardBack(i)}</div>))}
+              {zone("Active", pt.active.map((idx, i) => cardImg("active", i, idx)))}
+              {zone(`Bench ${pt.bench.length}/5`, pt.bench.map((idx, i) => cardImg("bench", i, idx)))}
+              {zone(`Deck ${pt.library.length}`, ptLook
+                ? pt.library.map((idx, i) => [idx, i]).filter(([idx]) => !ptFind || ptCards[idx].name.toLowerCase().includes(ptFind.toLowerCase())).map(([idx, i]) => cardImg("library", i, idx))
+                : pt.library.length > 0 && <div onClick={ptDraw} title="Draw" style={{ cursor: "pointer" }}>{cardBack("deck")}</div>,
+                <span style={{ display: "flex", gap: 6, alignItems: "center", textTransform: "none", letterSpacing: 0 }}>
+                  {ptLook && <input style={{ ...css.input, width: 120, padding: "3px 8px", fontSize: 12 }} placeholder="Find..." value={ptFind} onChange={e => setPtFind(e.target.value)} />}
+                  <button style={{ ...sm, padding: "3px 8px", fontSize: 11 }} onClick={() => { setPtLook(v => !v); setPtFind(""); setPtSel(null) }}>{ptLook ? "Hide" : "🔍 Look"}</button>
+                  <button style={{ ...sm, padding: "3px 8px", fontSize: 11 }} disabled={pt.library.length < 2} onClick={ptShuffle}>🔀 Shuffle</button>
+                </span>)}
+              {zone(`Hand ${pt.hand.length}`, pt.hand.map((idx, i) => cardImg("hand", i, idx)))}
+              {zone(`Discard ${pt.discard.length}`, pt.discard.map((idx, i) => cardImg("discard", i, idx)))}
+            </>
+          )}
+        </div>
+
+        {pt && ptSel && (
+          <div style={{ padding: "8px 12px", borderTop: "1px solid rgba(255,255,255,.06)", display: "flex", gap: 6, flexWrap: "wrap", alignItems: "center", flexShrink: 0, background: "rgba(15,23,42,.6)" }}>
+            <span style={{ fontSize: 12, color: "#cbd5e1", flex: "1 1 100%", overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{ptCards[pt[ptSel.zone][ptSel.i]]?.name}</span>
+            {["active", "bench", "hand", "discard"].filter(z => z !== ptSel.zone).map(z => (
+              <button key={z} style={{ ...sm, textTransform: "capitalize" }} onClick={() => ptMove(ptSel.zone, ptSel.i, z)}>→ {z}</button>
+            ))}
+            <button style={sm} onClick={() => ptToDeck(ptSel.zone, ptSel.i, false)}>→ Deck top</button>
+            <button style={sm} onClick={() => ptToDeck(ptSel.zone, ptSel.i, true)}>→ Deck bottom</button>
+            {isMobile && <button style={sm} onClick={() => setSelCard(ptCards[pt[ptSel.zone][ptSel.i]])}>🔍</button>}
+          </div>
+        )}
+      </div>
+    );
+  };
 
   return (
     <div style={{ fontFamily: "'DM Sans',system-ui,sans-serif", background: "linear-gradient(135deg,#0a0e1a,#111827,#0f172a)", color: "#e2e8f0", height: "100vh", display: "flex", flexDirection: "column", overflow: "hidden" }}>
@@ -804,13 +1969,28 @@ export default function App() {
             <div style={{ fontSize: isMobile ? 16 : 20, fontWeight: 800, letterSpacing: "-.02em" }}>PokéDeck Builder</div>
             {!isMobile && <div style={{ fontSize: 11, color: "#64748b", fontWeight: 500, letterSpacing: ".05em", textTransform: "uppercase" }}>TCG Deck Construction Tool</div>}
           </div>
+          {!online && <span title="No connection — using cached cards and the offline database" style={{ ...css.badge("#fbbf24"), whiteSpace: "nowrap" }}>📴 Offline</span>}
         </div>
+        {isMobile && (
+          <div style={{ display: "flex", gap: 6 }}>
+            <button style={css.btn("rgba(255,255,255,.06)", "#94a3b8", "1px solid rgba(255,255,255,.1)")} onClick={() => setModal("calc")} title="Damage calculator">🧮</button>
+            <button style={css.btn("rgba(255,255,255,.06)", "#94a3b8", "1px solid rgba(255,255,255,.1)")} onClick={() => setModal("rotation")} title="Rotation preview">🔄</button>
+            <button style={css.btn("rgba(255,255,255,.06)", "#94a3b8", "1px solid rgba(255,255,255,.1)")} onClick={() => setModal("collection")} title="My collection">📦</button>
+            <button style={css.btn("rgba(255,255,255,.06)", "#94a3b8", "1px solid rgba(255,255,255,.1)")} onClick={() => setModal("offline")} title="Offline card database">🗄️</button>
+          </div>
+        )}
         {!isMobile && (
           <div style={{ display: "flex", gap: 6 }}>
+            <button style={css.btn("rgba(255,255,255,.06)", "#94a3b8", "1px solid rgba(255,255,255,.1)")} onClick={() => setModal("offline")} title="Offline card database">🗄️</button>
+            <button style={css.btn("rgba(255,255,255,.06)", "#94a3b8", "1px solid rgba(255,255,255,.1)")} onClick={() => setModal("playtest")}>🎲 Playtest</button>
+            <button style={css.btn("rgba(255,255,255,.06)", "#94a3b8", "1px solid rgba(255,255,255,.1)")} onClick={() => setModal("calc")} title="Damage calculator">🧮</button>
+            <button style={css.btn("rgba(255,255,255,.06)", "#94a3b8", "1px solid rgba(255,255,255,.1)")} onClick={() => setModal("rotation")} title="Rotation preview">🔄</button>
             <button style={css.btn("rgba(255,255,255,.06)", "#94a3b8", "1px solid rgba(255,255,255,.1)")} onClick={() => setModal("saved")}>📂 Saved ({savedDecks.length})</button>
+            <button style={css.btn("rgba(255,255,255,.06)", "#94a3b8", "1px solid rgba(255,255,255,.1)")} disabled={!savedDecks.length} onClick={() => openGames(currentDeckId)} title="Game log">📊</button>
+            <button style={css.btn("rgba(255,255,255,.06)", "#94a3b8", "1px solid rgba(255,255,255,.1)")} onClick={() => setModal("collection")} title="My collection">📦</button>
             <button style={css.btn("rgba(255,255,255,.06)", "#94a3b8", "1px solid rgba(255,255,255,.1)")} onClick={() => setModal("export")}>📤 Export</button>
             <button style={css.btn("rgba(255,255,255,.06)", "#94a3b8", "1px solid rgba(255,255,255,.1)")} onClick={() => setModal("import")}>📥 Import</button>
-            <button style={css.btn("linear-gradient(135deg,#ef4444,#f97316)", "white")} onClick={saveDeck}>💾 Save Deck</button>
+            <button style={css.btn("linear-gradient(135deg,#ef4444,#f97316)", "white")} onClick={() => saveDeck()}>💾 Save Deck</button>
           </div>
         )}
       </header>
@@ -823,6 +2003,7 @@ export default function App() {
             {mobileView === "search" && renderSearch()}
             {mobileView === "deck" && renderDeck()}
             {mobileView === "stats" && renderStats()}
+            {mobileView === "test" && renderPlaytest()}
           </div>
 
           {/* Bottom Tab Bar */}
@@ -831,6 +2012,7 @@ export default function App() {
               { id: "search", icon: "🔍", label: "Search" },
               { id: "deck", icon: "🃏", label: "Deck", badge: a.total > 0 ? a.total : null },
               { id: "stats", icon: "📊", label: "Stats" },
+              { id: "test", icon: "🎲", label: "Test" },
             ].map(t => (
               <button key={t.id} onClick={() => setMobileView(t.id)} style={{
                 flex: 1, display: "flex", flexDirection: "column", alignItems: "center", gap: 2,
@@ -844,7 +2026,7 @@ export default function App() {
                 <span style={{ fontSize: 20 }}>{t.icon}</span>
                 <span>{t.label}</span>
                 {t.badge && (
-                  <span style={{ position: "absolute", top: 4, right: "25%", background: a.total === 60 ? "#10b981" : "#ef4444", color: "white", borderRadius: 10, padding: "1px 6px", fontSize: 10, fontWeight: 700, minWidth: 18, textAlign: "center" }}>{t.badge}</span>
+                  <span style={{ position: "absolute", top: 4, right: "25%", background: a.total === fmt.deckSize ? "#10b981" : "#ef4444", color: "white", borderRadius: 10, padding: "1px 6px", fontSize: 10, fontWeight: 700, minWidth: 18, textAlign: "center" }}>{t.badge}</span>
                 )}
               </button>
             ))}
@@ -871,7 +2053,7 @@ export default function App() {
 
       {/* Card Detail */}
       {selCard && (
-        <Overlay onClose={() => setSelCard(null)}>
+        <Overlay isMobile={isMobile} onClose={() => setSelCard(null)}>
           <div style={{ display: "flex", flexDirection: isMobile ? "column" : "row", gap: isMobile ? 16 : 24 }}>
             <div style={{ flex: isMobile ? "none" : "0 0 200px", display: "flex", justifyContent: "center" }}>
               <img src={selCard.images?.large || selCard.images?.small} alt={selCard.name} style={{ width: isMobile ? "60%" : "100%", maxWidth: 240, borderRadius: 12, boxShadow: "0 8px 32px rgba(0,0,0,.4)" }} />
@@ -905,8 +2087,31 @@ export default function App() {
               {selCard.rules?.map((r, i) => <div key={i} style={{ fontSize: 11, color: "#64748b", marginTop: 4, fontStyle: "italic", lineHeight: 1.5 }}>{r}</div>)}
               <div style={{ marginTop: 14, display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
                 {(() => {
-                  const cnt = dCounts[selCard.name] || 0, isB = BASIC_ENERGY.includes(selCard.name), atMax = !isB && cnt >= MAX_COPIES, full = deck.length >= MAX_DECK;
-                  return <button style={{ ...css.btn(atMax || full ? "rgba(255,255,255,.06)" : "linear-gradient(135deg,#ef4444,#f97316)", atMax || full ? "#475569" : "white"), cursor: atMax || full ? "not-allowed" : "pointer" }} onClick={() => { if (!atMax && !full) addCard(selCard) }}>➕ Add{cnt > 0 ? ` (${cnt}/${isB ? "∞" : MAX_COPIES})` : ""}</button>;
+                  const cnt = dCounts[copyKey(selCard)] || 0, isB = isBasicEnergy(selCard), limit = copyLimitOf(fmt, selCard), atMax = cnt >= limit, full = deck.length >= fmt.deckSize;
+                  return <button style={{ ...css.btn(atMax || full ? "rgba(255,255,255,.06)" : "linear-gradient(135deg,#ef4444,#f97316)", atMax || full ? "#475569" : "white"), cursor: atMax || full ? "not-allowed" : "pointer" }} onClick={() => { if (!atMax && !full) addCard(selCard) }}>➕ Add{cnt > 0 ? ` (${cnt}/${isB ? "∞" : limit})` : ""}</button>;
+                })()}
+                {selCard.supertype === "Pokémon" && selCard.evolvesFrom && stageOf(selCard) > 0 && (() => {
+                  const st = stageOf(selCard), presets = st === 2 ? ["4-3-3", "4-2-3", "4-1-3", "3-2-2", "3-1-2", "2-1-2"] : ["4-3", "4-2", "3-3", "3-2", "2-2", "2-1"];
+                  return (
+                    <div style={{ display: "flex", gap: 4 }}>
+                      <select style={{ ...css.select, flex: "none", padding: "6px 8px" }} value={lineRatio[st]} onChange={e => setLineRatio(p => ({ ...p, [st]: e.target.value }))}>
+                        {presets.map(r => <option key={r} value={r}>{r}</option>)}
+                      </select>
+                      <button style={css.btn("rgba(34,211,238,.12)", "#22d3ee", "1px solid rgba(34,211,238,.25)")} onClick={() => addLine(selCard, lineRatio[st])}>🧬 Add Line</button>
+                    </div>
+                  );
+                })()}
+                {selCard.supertype === "Pokémon" && <button style={css.btn("rgba(249,115,22,.12)", "#f97316", "1px solid rgba(249,115,22,.25)")} onClick={() => openCalc(selCard)} title={deck.some(c => c.id === selCard.id) ? "Attack with this card" : "Use as the target"}>🧮 Damage</button>}
+                {(() => {
+                  const own = collection[selCard.id]?.qty || 0, step = { width: 28, height: 28, borderRadius: 6, border: "1px solid rgba(255,255,255,.1)", background: "rgba(255,255,255,.06)", color: "#94a3b8", cursor: "pointer", fontSize: 14 };
+                  return (
+                    <div title="Copies of this printing you own" style={{ display: "flex", gap: 4, alignItems: "center", fontSize: 12, color: "#94a3b8" }}>
+                      📦 Owned
+                      <button style={step} disabled={!own} onClick={() => setOwned(selCard, own - 1)}>−</button>
+                      <span style={{ minWidth: 18, textAlign: "center", fontWeight: 700, color: own ? "#10b981" : "#475569" }}>{own}</span>
+                      <button style={step} onClick={() => setOwned(selCard, own + 1)}>+</button>
+                    </div>
+                  );
                 })()}
                 {selCard.legalities && (
                   <div style={{ display: "flex", gap: 4 }}>
@@ -920,48 +2125,598 @@ export default function App() {
         </Overlay>
       )}
 
+      {/* Playtest (desktop) */}
+      {modal === "playtest" && (
+        <Overlay isMobile={isMobile} onClose={() => setModal(null)}>
+          <ModalHeader isMobile={isMobile} title="🎲 Playtest" onClose={() => setModal(null)} />
+          <div style={{ height: "65vh", margin: isMobile ? -18 : -24, marginTop: 0 }}>{renderPlaytest()}</div>
+        </Overlay>
+      )}
+
+      {/* Offline Card Database */}
+      {modal === "offline" && (
+        <Overlay isMobile={isMobile} onClose={() => setModal(null)}>
+          <ModalHeader isMobile={isMobile} title="🗄️ Offline Card Database" onClose={() => setModal(null)} />
+          <p style={{ fontSize: 12, color: "#94a3b8", marginBottom: 12, lineHeight: 1.6 }}>
+            Every card you look up is kept on this device ({storeInfo.count.toLocaleString()} so far). Sync a whole set to search it without a connection.
+          </p>
+          <div style={{ display: "flex", gap: 8, marginBottom: 14 }}>
+            <select style={css.select} value={syncSetId} onChange={e => setSyncSetId(e.target.value)} disabled={!!syncing}>
+              <option value="">{setsLoading ? "Loading sets..." : "Choose a set..."}</option>
+              {sets.map(st => <option key={st.id} value={st.id}>{st.name} ({st.total})</option>)}
+            </select>
+            <button style={{ ...css.btn(syncing || !syncSetId ? "rgba(255,255,255,.06)" : "linear-gradient(135deg,#10b981,#059669)", syncing || !syncSetId ? "#64748b" : "white"), flexShrink: 0 }} disabled={!!syncing || !syncSetId} onClick={() => syncSet(syncSetId)}>⬇️ Sync Set</button>
+          </div>
+          {syncing && <div style={{ fontSize: 12, color: "#22d3ee", marginBottom: 12 }}>Syncing {syncing.name}: {syncing.done} of {syncing.total}...</div>}
+          <div style={{ ...css.sectionTitle, marginBottom: 8 }}>Synced Sets</div>
+          {storeInfo.sets.length === 0 ? (
+            <div style={{ fontSize: 12, color: "#475569", padding: "8px 0" }}>No sets synced yet</div>
+          ) : storeInfo.sets.map(st => (
+            <div key={st.id} style={{ display: "flex", justifyContent: "space-between", padding: "6px 10px", borderRadius: 8, background: "rgba(255,255,255,.03)", marginBottom: 3, fontSize: 12 }}>
+              <span style={{ color: "#cbd5e1" }}>{st.name}</span>
+              <span style={{ color: "#64748b" }}>{st.count} cards · {new Date(st.time).toLocaleDateString()}</span>
+            </div>
+          ))}
+          <div style={{ marginTop: 14, display: "flex", gap: 6, flexWrap: "wrap" }}>
+            <button title="Card data file for the pokedeck command-line tool" style={css.btn("rgba(255,255,255,.06)", "#94a3b8", "1px solid rgba(255,255,255,.1)")} disabled={!!syncing || !storeInfo.count} onClick={async () => downloadFile("cards.json", JSON.stringify(await cardStore.all()), "application/json")}>💾 Download cards.json</button>
+            <button style={css.btn("rgba(239,68,68,.08)", "#fca5a5", "1px solid rgba(239,68,68,.15)")} disabled={!!syncing} onClick={async () => { await cardStore.clear(); searchCache.clear(); refreshStore() }}>🗑️ Clear Database</button>
+          </div>
+        </Overlay>
+      )}
+
+      {/* Collection */}
+      {modal === "collection" && (() => {
+        const saved = collSource.startsWith("saved:") && savedDecks.find(d => `saved:${d.id}` === collSource);
+        const arch = collSource.startsWith("meta:") && meta.archetypes[+collSource.slice(5)];
+        const title = saved ? saved.name : arch ? arch.name : deckName;
+        const report = arch ? collectionReport(metaRequirements(arch), collection, true)
+          : saved ? collectionReport(deckRequirements(versionCards(saved.versions[0])), collection, anyPrinting) : deckOwned;
+        const owned = Object.values(collection).reduce((s, e) => s + e.qty, 0);
+        const list = shoppingList(title, report.rows);
+        return (
+          <Overlay isMobile={isMobile} onClose={() => setModal(null)}>
+            <ModalHeader isMobile={isMobile} title="📦 My Collection" onClose={() => setModal(null)} />
+            <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap", marginBottom: 14 }}>
+              <span style={{ fontSize: 12, color: "#94a3b8", flex: 1 }}>{Object.keys(collection).length} printings · {owned} cards owned. Set quantities from any card's detail view.</span>
+              <label style={{ ...css.btn("rgba(255,255,255,.06)", "#94a3b8", "1px solid rgba(255,255,255,.1)"), cursor: "pointer" }}>
+                📥 Import CSV<input type="file" accept=".csv,text/csv" style={{ display: "none" }} onChange={e => { if (e.target.files[0]) importCollection(e.target.files[0]); e.target.value = "" }} />
+              </label>
+              <button style={css.btn("rgba(255,255,255,.06)", "#94a3b8", "1px solid rgba(255,255,255,.1)")} disabled={!hasCollection} onClick={() => downloadFile("collection.csv", collectionCsv(collection), "text/csv")}>📤 Export CSV</button>
+            </div>
+            <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap", marginBottom: 10 }}>
+              <select style={{ ...css.select, flex: "1 1 180px" }} value={collSource} onChange={e => setCollSource(e.target.value)}>
+                <option value="deck">Current deck — {deckName}</option>
+                {savedDecks.length > 0 && <optgroup label="Saved decks">{savedDecks.map(d => <option key={d.id} value={`saved:${d.id}`}>{d.name}</option>)}</optgroup>}
+                {meta.archetypes.length > 0 && <optgroup label="Meta archetypes">{meta.archetypes.map((m, i) => <option key={i} value={`meta:${i}`}>{m.name}</option>)}</optgroup>}
+              </select>
+              <label style={{ display: "flex", gap: 6, alignItems: "center", fontSize: 12, color: "#cbd5e1", cursor: "pointer" }}>
+                <input type="checkbox" checked={anyPrinting || !!arch} disabled={!!arch} onChange={e => setAnyPrinting(e.target.checked)} /> Any printing with the same name counts
+              </label>
+            </div>
+            {report.rows.length === 0 ? <div style={{ fontSize: 13, color: "#475569", padding: 12 }}>This deck is empty.</div> : (
+              <>
+                <div style={{ fontSize: 13, fontWeight: 700, marginBottom: 8, color: report.missing ? "#fde047" : "#10b981" }}>
+                  {report.missing ? `Own ${report.owned} of ${report.need} — ${report.missing} cards missing` : `You own all ${report.need} cards`}
+                </div>
+                <div style={{ maxHeight: "38vh", overflow: "auto", marginBottom: 12 }}>
+                  {[...report.rows].sort((x, y) => y.missing - x.missing || x.name.localeCompare(y.name)).map((r, i) => (
+                    <div key={i} style={{ display: "flex", alignItems: "center", gap: 10, padding: "4px 8px", borderRadius: 6, marginBottom: 2, background: r.missing ? "rgba(234,179,8,.06)" : "transparent" }}>
+                      <span style={{ flex: 1, minWidth: 0, fontSize: 13, color: "#cbd5e1", whiteSpace: "nowrap", overflow: "hidden", textOverflow: "ellipsis" }}>{r.name} {r.id && !anyPrinting && <span style={{ fontSize: 11, color: "#475569" }}>{r.set} {r.number}</span>}</span>
+                      <span style={{ fontSize: 12, fontWeight: 700, color: r.missing ? "#fde047" : "#10b981" }}>{Math.min(r.own, r.need)}/{r.need}</span>
+                    </div>
+                  ))}
+                </div>
+                {report.missing > 0 && (
+                  <div style={{ display: "flex", gap: 8 }}>
+                    <button style={css.btn("linear-gradient(135deg,#ef4444,#f97316)", "white")} onClick={() => { navigator.clipboard?.writeText(list); setToast({ text: "Shopping list copied", tone: "#10b981" }) }}>📋 Copy shopping list</button>
+                    <button style={css.btn("rgba(255,255,255,.06)", "#94a3b8", "1px solid rgba(255,255,255,.1)")} onClick={() => downloadFile(`${title.replace(/[^\w-]+/g, "_")}-missing.txt`, list, "text/plain")}>💾 Download</button>
+                  </div>
+                )}
+              </>
+            )}
+          </Overlay>
+        );
+      })()}
+
+      {/* Proxy Sheet */}
+      {modal === "proxies" && (
+        <Overlay isMobile={isMobile} onClose={() => setModal(null)}>
+          <ModalHeader isMobile={isMobile} title="🖨️ Print Proxies" onClose={() => setModal(null)} />
+          <div style={{ display: "flex", gap: 14, marginBottom: 12, flexWrap: "wrap", fontSize: 13, color: "#cbd5e1" }}>
+            <label style={{ display: "flex", gap: 6, alignItems: "center", cursor: "pointer" }}><input type="checkbox" checked={proxyOpts.energy} onChange={e => setProxyOpts(p => ({ ...p, energy: e.target.checked }))} /> Include basic Energy</label>
+            <label style={{ display: "flex", gap: 6, alignItems: "center", cursor: "pointer" }}><input type="checkbox" checked={proxyOpts.watermark} onChange={e => setProxyOpts(p => ({ ...p, watermark: e.target.checked }))} /> "PROXY" watermark</label>
+          </div>
+          {proxyRows.map(({ card, count, qty }) => (
+            <div key={card.id} style={{ display: "flex", alignItems: "center", gap: 10, padding: "4px 8px", borderRadius: 8, background: "rgba(30,41,59,.35)", marginBottom: 3 }}>
+              <img src={card.images?.small} alt="" style={{ width: 26, height: 36, borderRadius: 3, objectFit: "cover" }} />
+              <span style={{ flex: 1, minWidth: 0, fontSize: 13, whiteSpace: "nowrap", overflow: "hidden", textOverflow: "ellipsis" }}>{card.name} <span style={{ fontSize: 11, color: "#475569" }}>{setCode(card)} {card.number}</span></span>
+              <span style={{ fontSize: 11, color: "#475569" }}>in deck {count}</span>
+              <input type="number" min="0" max="60" value={qty} onChange={e => setProxyQty(p => ({ ...p, [card.id]: Math.max(0, parseInt(e.target.value) || 0) }))} style={{ ...css.select, flex: "none", width: 56, padding: "4px 6px" }} />
+            </div>
+          ))}
+          {(() => {
+            const total = proxyRows.reduce((s, r) => s + r.qty, 0);
+            return (
+              <div style={{ marginTop: 12, display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap" }}>
+                <button style={css.btn("linear-gradient(135deg,#ef4444,#f97316)", "white")} disabled={!total} onClick={printProxies}>🖨️ Print / Save PDF</button>
+                <span style={{ fontSize: 12, color: "#64748b" }}>{total} cards · {Math.ceil(total / 9)} page{Math.ceil(total / 9) === 1 ? "" : "s"} · 63×88 mm, 9 per page</span>
+              </div>
+            );
+          })()}
+        </Overlay>
+      )}
+
+      {/* Game log */}
+      {modal === "games" && (() => {
+        const pct = v => `${Math.round(v * 100)}%`, st = logStats;
+        const seg = (k, v, on, tone) => <button key={v} onClick={() => setGameField(k, v)} style={{ ...css.btn(on ? `${tone}22` : "rgba(255,255,255,.04)", on ? tone : "#64748b", `1px solid ${on ? `${tone}55` : "rgba(255,255,255,.08)"}`), padding: "5px 10px", fontSize: 12 }}>{v === "first" ? "Went first" : v === "second" ? "Went second" : GAME_RESULTS[v]}</button>;
+        const rateRow = (label, r, key = label) => (
+          <div key={key} style={{ display: "flex", alignItems: "center", gap: 8, padding: "3px 0", fontSize: 12 }}>
+            <span style={{ flex: "0 0 38%", minWidth: 0, color: "#cbd5e1", overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{label}</span>
+            <div style={{ flex: 1, height: 6, borderRadius: 3, background: "rgba(255,255,255,.05)" }}>
+              <div style={{ height: "100%", borderRadius: 3, width: pct(r.rate), background: r.rate >= .55 ? "#10b981" : r.rate >= .45 ? "#eab308" : "#ef4444" }} />
+            </div>
+            <span style={{ width: 36, textAlign: "right", fontWeight: 700, color: "#e2e8f0" }}>{r.games ? pct(r.rate) : "—"}</span>
+            <span style={{ width: 64, textAlign: "right", fontSize: 11, color: "#475569" }}>{r.W}-{r.L}-{r.T}</span>
+          </div>
+        );
+        const section = t => <div style={{ ...css.sectionTitle, margin: "14px 0 6px" }}>{t}</div>;
+        return (
+          <Overlay isMobile={isMobile} onClose={() => setModal(null)}>
+            <ModalHeader isMobile={isMobile} title="📊 Game Log" onClose={() => setModal(null)} />
+            {!logDeck ? <div style={{ fontSize: 13, color: "#64748b" }}>Save a deck first — games are logged against saved decks.</div> : <>
+              <div style={{ display: "flex", gap: 6, flexWrap: "wrap", marginBottom: 10 }}>
+                <select style={css.select} value={logDeck.id} onChange={e => { setLogDeckId(e.target.value); setGameField("versionId", "") }}>
+                  {savedDecks.map(d => <option key={d.id} value={d.id}>{d.name}</option>)}
+                </select>
+                <select style={{ ...css.select, flex: "none" }} value={gameForm.versionId || logDeck.versions[0].id} onChange={e => setGameField("versionId", e.target.value)}>
+                  {logDeck.versions.map((v, vi) => <option key={v.id} value={v.id}>v{logDeck.versions.length - vi}{v.note ? ` — ${v.note}` : ""}</option>)}
+                </select>
+              </div>
+
+              <div style={{ padding: 12, borderRadius: 10, background: "rgba(30,41,59,.35)" }}>
+                <input style={css.input} list="game-opponents" placeholder="Opponent archetype" value={gameForm.opponent} onChange={e => setGameField("opponent", e.target.value)} />
+                <datalist id="game-opponents">{[...new Set([...meta.archetypes.map(m => m.name), ...games.map(g => g.opponent)])].map(n => <option key={n} value={n} />)}</datalist>
+                <div style={{ display: "flex", gap: 6, flexWrap: "wrap", marginTop: 8, alignItems: "center" }}>
+                  {["first", "second"].map(v => seg("turn", v, gameForm.turn === v, "#22d3ee"))}
+                  <span style={{ width: 6 }} />
+                  {Object.keys(GAME_RESULTS).map(v => seg("result", v, gameForm.result === v, { W: "#10b981", L: "#ef4444", T: "#eab308" }[v]))}
+                  <label style={{ display: "flex", gap: 6, alignItems: "center", fontSize: 12, color: "#94a3b8" }}>Prizes taken
+                    <input type="number" min="0" max="6" value={gameForm.prizes} onChange={e => setGameField("prizes", Math.min(6, Math.max(0, parseInt(e.target.value) || 0)))} style={{ ...css.select, flex: "none", width: 52, padding: "4px 6px" }} />
+                  </label>
+                </div>
+                <div style={{ display: "flex", gap: 6, marginTop: 8 }}>
+                  <input style={{ ...css.input, flex: 1 }} placeholder="Notes (optional)" value={gameForm.notes} onChange={e => setGameField("notes", e.target.value)} onKeyDown={e => { if (e.key === "Enter") logGame() }} />
+                  <button style={css.btn("linear-gradient(135deg,#ef4444,#f97316)", "white")} onClick={logGame}>➕ Log</button>
+                </div>
+              </div>
+
+              {!deckGames.length ? <div style={{ fontSize: 13, color: "#475569", padding: "20px 0", textAlign: "center" }}>No games logged for {logDeck.name} yet</div> : <>
+                <div style={{ display: "flex", gap: 8, marginTop: 14, flexWrap: "wrap" }}>
+                  {[["Win rate", pct(st.overall.rate), "#22d3ee"], ["Record", `${st.overall.W}-${st.overall.L}-${st.overall.T}`, "#e2e8f0"], ["Going first", st.byTurn.first.games ? pct(st.byTurn.first.rate) : "—", "#a78bfa"], ["Going second", st.byTurn.second.games ? pct(st.byTurn.second.rate) : "—", "#a78bfa"], ["Avg prizes", st.avgPrizes.toFixed(1), "#fbbf24"]].map(([l, v, c]) => (
+                    <div key={l} style={{ flex: "1 1 80px", textAlign: "center", padding: "8px 0", borderRadius: 8, background: "rgba(255,255,255,.03)" }}>
+                      <div style={{ fontSize: 18, fontWeight: 800, color: c }}>{v}</div>
+                      <div style={{ fontSize: 10, color: "#475569" }}>{l}</div>
+                    </div>
+                  ))}
+                </div>
+                {section("By matchup")}
+                {st.byOpponent.map(r => rateRow(`${r.key} (${r.games})`, r, r.key))}
+                {section("By version")}
+                {st.byVersion.map(r => rateRow(`${r.label} (${r.games})`, r, r.key))}
+                {st.byWeek.length > 1 && <>
+                  {section("Over time · by week")}
+                  {st.byWeek.map(r => rateRow(`${new Date(`${r.key}T00:00`).toLocaleDateString(undefined, { month: "short", day: "numeric" })} (${r.games})`, r, r.key))}
+                </>}
+                {section("Games")}
+                {deckGames.slice(0, 50).map(g => (
+                  <div key={g.id} style={{ display: "flex", alignItems: "center", gap: 8, padding: "4px 8px", borderRadius: 6, background: "rgba(30,41,59,.35)", marginBottom: 3, fontSize: 12 }}>
+                    <span style={{ ...css.badge({ W: "#10b981", L: "#ef4444", T: "#eab308" }[g.result]), padding: "1px 7px" }}>{g.result}</span>
+                    <span style={{ flex: 1, minWidth: 0, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>vs {g.opponent} <span style={{ color: "#475569" }}>· {g.turn === "first" ? "1st" : "2nd"} · {g.prizes} prizes{g.notes ? ` · ${g.notes}` : ""}</span></span>
+                    <span style={{ fontSize: 11, color: "#475569" }}>{new Date(g.time).toLocaleDateString()}</span>
+                    <button onClick={() => setGames(p => p.filter(x => x.id !== g.id))} style={{ background: "none", border: "none", color: "#64748b", cursor: "pointer", fontSize: 13 }}>✕</button>
+                  </div>
+                ))}
+              </>}
+              <div style={{ display: "flex", gap: 8, marginTop: 12, alignItems: "center" }}>
+                <button style={css.btn("rgba(255,255,255,.06)", "#94a3b8", "1px solid rgba(255,255,255,.1)")} disabled={!games.length} onClick={() => downloadFile(`pokedeck-games-${new Date().toISOString().slice(0, 10)}.csv`, gamesCsv(games, savedDecks), "text/csv")}>📤 Export CSV</button>
+                <span style={{ fontSize: 11, color: "#475569" }}>{games.length} games across all decks</span>
+              </div>
+            </>}
+          </Overlay>
+        );
+      })()}
+
+      {/* Formats */}
+      {modal === "formats" && (
+        <Overlay isMobile={isMobile} onClose={() => setModal(null)}>
+          <ModalHeader isMobile={isMobile} title="⚙️ Formats" onClose={() => setModal(null)} />
+          {Object.values(formats).map(f => {
+            const on = f.id === fmt.id;
+            const facts = [
+              `${f.deckSize} cards`, f.maxCopies === 1 ? "singleton" : `max ${f.maxCopies} copies`,
+              f.legalityKey ? `${f.legalityKey} card pool` : "any card", f.singleType && "one Pokémon type",
+              f.banned.length && `${f.banned.length} banned`, Object.keys(f.restricted).length && `${Object.keys(f.restricted).length} restricted`,
+              f.bannedSubtypes.length && `no ${f.bannedSubtypes.join(" / ")}`,
+            ].filter(Boolean);
+            return (
+              <div key={f.id} style={{ display: "flex", alignItems: "center", gap: 10, padding: "8px 10px", borderRadius: 8, marginBottom: 4, background: on ? "rgba(34,211,238,.08)" : "rgba(30,41,59,.35)", border: `1px solid ${on ? "rgba(34,211,238,.3)" : "transparent"}` }}>
+                <div style={{ flex: 1, minWidth: 0, cursor: "pointer" }} onClick={() => changeFormat(f.id)}>
+                  <div style={{ fontSize: 13, fontWeight: 700 }}>{f.name} {f.custom && <span style={css.badge("#a78bfa")}>custom</span>}</div>
+                  <div style={{ fontSize: 11, color: "#64748b", marginTop: 2 }}>{facts.join(" · ")}</div>
+                </div>
+                {f.custom && <button style={{ ...css.btn("rgba(239,68,68,.1)", "#ef4444", "1px solid rgba(239,68,68,.2)"), padding: "4px 8px", fontSize: 11 }} onClick={() => removeFormat(f.id)}>🗑️</button>}
+              </div>
+            );
+          })}
+          <div style={{ display: "flex", gap: 8, marginTop: 10, alignItems: "center", flexWrap: "wrap" }}>
+            <label style={{ ...css.btn("rgba(255,255,255,.06)", "#94a3b8", "1px solid rgba(255,255,255,.1)"), cursor: "pointer" }}>
+              📥 Load format JSON<input type="file" accept=".json,application/json" style={{ display: "none" }} onChange={e => { if (e.target.files[0]) importFormat(e.target.files[0]); e.target.value = "" }} />
+            </label>
+            <span style={{ fontSize: 11, color: "#475569" }}>Loading a format with the same id replaces it</span>
+          </div>
+          <pre style={{ marginTop: 10, padding: 10, borderRadius: 8, background: "rgba(15,23,42,.8)", fontSize: 11, color: "#94a3b8", overflowX: "auto" }}>{`{
+  "id": "league-cup", "name": "League Cup",
+  "deckSize": 60, "maxCopies": 4, "legalityKey": "expanded",
+  "banned": ["Lysandre's Trump Card"], "restricted": { "Professor's Research": 2 },
+  "bannedSubtypes": ["ACE SPEC"], "singleType": false
+}`}</pre>
+        </Overlay>
+      )}
+
+      {/* Rotation preview */}
+      {modal === "rotation" && (
+        <Overlay isMobile={isMobile} onClose={() => setModal(null)}>
+          <ModalHeader isMobile={isMobile} title="🔄 Rotation Preview" onClose={() => setModal(null)} />
+          <div style={{ fontSize: 12, color: "#94a3b8", marginBottom: 8 }}>Regulation marks leaving Standard</div>
+          <div style={{ display: "flex", gap: 6, flexWrap: "wrap", alignItems: "center", marginBottom: 12 }}>
+            {REG_MARKS.map(m => {
+              const on = rotating.includes(m);
+              return <span key={m} onClick={() => setRotating(p => on ? p.filter(x => x !== m) : [...p, m].sort())} style={{ ...css.badge(on ? "#ef4444" : "#475569"), cursor: "pointer", minWidth: 14, textAlign: "center", WebkitTapHighlightColor: "transparent" }}>{m}</span>;
+            })}
+            <button style={{ ...css.btn("rgba(34,211,238,.12)", "#22d3ee", "1px solid rgba(34,211,238,.3)"), marginLeft: "auto" }} disabled={!!rotBusy} onClick={checkRotation}>{rotBusy ? `Checking ${rotBusy.done}/${rotBusy.total}...` : rotPrintings ? "↻ Recheck" : "🔍 Check reprints"}</button>
+          </div>
+          {!rotating.length ? <div style={{ fontSize: 13, color: "#64748b" }}>Pick the marks that rotate out to see what each deck loses.</div>
+            : !rotDecks.length ? <div style={{ fontSize: 13, color: "#64748b" }}>No decks to check yet.</div>
+            : rotDecks.map(d => {
+              const r = d.report, open = rotOpen === d.id, tone = !r.lost ? "#10b981" : r.fixable === r.lost ? "#eab308" : "#ef4444";
+              return (
+                <div key={d.id} style={{ marginBottom: 6, padding: "8px 10px", borderRadius: 8, background: "rgba(30,41,59,.35)" }}>
+                  <div onClick={() => setRotOpen(open ? null : d.id)} style={{ display: "flex", alignItems: "center", gap: 8, cursor: "pointer", WebkitTapHighlightColor: "transparent" }}>
+                    <span style={{ flex: 1, minWidth: 0, fontSize: 13, fontWeight: 700, whiteSpace: "nowrap", overflow: "hidden", textOverflow: "ellipsis" }}>{d.name}</span>
+                    {d.stale > 0 && !rotPrintings && <span title="Cards saved before regulation marks were tracked — run a check" style={css.badge("#64748b")}>{d.stale} unchecked</span>}
+                    <span style={css.badge(tone)}>{r.lost ? `−${r.lost} cards${rotPrintings ? ` · ${r.fixable} reprinted` : ""}` : "✓ Safe"}</span>
+                    <span style={{ fontSize: 10, color: "#475569" }}>{open ? "▲" : "▼"}</span>
+                  </div>
+                  {open && r.rows.map(({ card, count, reprints }) => (
+                    <div key={card.id} style={{ display: "flex", alignItems: "center", gap: 8, marginTop: 6, fontSize: 12, flexWrap: "wrap" }}>
+                      <span style={{ ...css.badge("#ef4444"), padding: "1px 6px" }}>{card.regulationMark}</span>
+                      <span style={{ flex: 1, minWidth: 120 }}>{count}× {card.name} <span style={{ fontSize: 11, color: "#475569" }}>{setCode(card)} {card.number}</span></span>
+                      {reprints.length ? (d.id === "current"
+                        ? <select style={{ ...css.select, flex: "none", padding: "4px 8px" }} value="" onChange={e => { const to = reprints.find(p => p.id === e.target.value); if (to) swapPrinting(card, to) }}>
+                            <option value="">Swap to reprint...</option>
+                            {reprints.map(p => <option key={p.id} value={p.id}>{setCode(p)} {p.number} · {p.regulationMark}</option>)}
+                          </select>
+                        : <span style={{ fontSize: 11, color: "#10b981" }}>Reprint: {reprints.slice(0, 3).map(p => `${setCode(p)} ${p.number}`).join(", ")}</span>)
+                        : <span style={{ fontSize: 11, color: rotPrintings ? "#ef4444" : "#475569" }}>{rotPrintings ? "No reprint" : "Not checked"}</span>}
+                    </div>
+                  ))}
+                  {open && !r.rows.length && <div style={{ fontSize: 11, color: "#475569", marginTop: 4 }}>Nothing in this deck rotates.</div>}
+                </div>
+              );
+            })}
+        </Overlay>
+      )}
+
+      {/* Damage calculator */}
+      {modal === "calc" && (() => {
+        const num = (k, label, step = 10) => (
+          <label style={{ display: "flex", gap: 6, alignItems: "center", fontSize: 12, color: "#94a3b8" }}>{label}
+            <input type="number" min="0" step={step} value={calc[k]} onChange={e => setCalcField(k, Math.max(0, parseInt(e.target.value) || 0))} style={{ ...css.select, flex: "none", width: 64, padding: "4px 6px" }} />
+          </label>
+        );
+        const pick = (k, placeholder) => (
+          <select style={{ ...css.select, width: "100%" }} value={calc[k]?.id || ""} onChange={e => setCalc(p => ({ ...p, [k]: calcPool.get(e.target.value) || null, ...(k === "target" ? { counters: 0 } : { benchCounters: 0 }) }))}>
+            <option value="">{placeholder}</option>
+            {calc[k] && !calcTargets.some(([, cs]) => cs.some(c => c.id === calc[k].id)) && <option value={calc[k].id}>{calc[k].name} · {calc[k].hp} HP</option>}
+            {calcTargets.map(([g, cs]) => <optgroup key={g} label={g}>{cs.map(c => <option key={g + c.id} value={c.id}>{c.name} · {c.hp} HP{c.set ? ` · ${setCode(c)} ${c.number}` : ""}</option>)}</optgroup>)}
+          </select>
+        );
+        const sc = calcAttack && attackScaling(calcAttack), r = calcResult, label = { fontSize: 11, color: "#64748b", margin: "12px 0 6px" };
+        return (
+          <Overlay isMobile={isMobile} onClose={() => setModal(null)}>
+            <ModalHeader isMobile={isMobile} title="🧮 Damage Calculator" onClose={() => setModal(null)} />
+            {!calcAttackers.length ? <div style={{ fontSize: 13, color: "#64748b" }}>Add some Pokémon with attacks to the deck first.</div> : <>
+              <div style={label}>Attacker</div>
+              <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+                <select style={css.select} value={calcAttacker.id} onChange={e => setCalc(p => ({ ...p, attacker: e.target.value, attack: 0, units: 0 }))}>
+                  {calcAttackers.map(c => <option key={c.id} value={c.id}>{c.name} · {setCode(c)} {c.number}</option>)}
+                </select>
+                <select style={css.select} value={calcAttacker.attacks.indexOf(calcAttack)} onChange={e => setCalc(p => ({ ...p, attack: +e.target.value, units: 0 }))}>
+                  {calcAttacker.attacks.map((at, i) => <option key={i} value={i}>{at.name}{at.damage ? ` · ${at.damage}` : ""}</option>)}
+                </select>
+              </div>
+              {calcAttack?.text && <div style={{ fontSize: 11, color: "#64748b", marginTop: 6, lineHeight: 1.5 }}>{calcAttack.text}</div>}
+              {sc && <div style={{ marginTop: 8 }}>{num("units", `${sc.per} ${sc.kind === "×" ? "damage" : "more damage"} ${sc.unit} ×`, 1)}</div>}
+
+              <div style={{ ...label, display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+                <span>Target</span>
+                {!metaCards && meta.archetypes.length > 0 && <button onClick={analyseMatchups} disabled={matchupBusy} style={{ ...css.btn("rgba(34,211,238,.12)", "#22d3ee", "1px solid rgba(34,211,238,.3)"), padding: "3px 8px", fontSize: 11 }}>{matchupBusy ? "Loading..." : "Load meta Pokémon"}</button>}
+              </div>
+              {pick("target", "Pick a target...")}
+              <div style={{ display: "flex", gap: 14, flexWrap: "wrap", marginTop: 10 }}>
+                <label style={{ display: "flex", gap: 6, alignItems: "center", fontSize: 12, color: calc.target && hasSub(calc.target, "ex") ? "#94a3b8" : "#475569", cursor: "pointer" }}>
+                  <input type="checkbox" checked={calc.belt} onChange={e => setCalcField("belt", e.target.checked)} /> Maximum Belt (+50 vs ex)
+                </label>
+                {num("bonus", "Other +damage")}
+                {num("reduction", "Damage reduction")}
+                {num("counters", "Counters on target", 1)}
+              </div>
+
+              {r?.spread > 0 && <>
+                <div style={label}>Bench target · {r.spread} damage counters</div>
+                {pick("bench", "Pick a Benched Pokémon...")}
+                <div style={{ marginTop: 8 }}>{num("benchCounters", "Counters already on it", 1)}</div>
+              </>}
+
+              {r && (
+                <div style={{ marginTop: 16, padding: 14, borderRadius: 10, background: r.ko ? "rgba(16,185,129,.08)" : "rgba(255,255,255,.03)", border: `1px solid ${r.ko ? "rgba(16,185,129,.3)" : "rgba(255,255,255,.08)"}` }}>
+                  <div style={{ display: "flex", alignItems: "baseline", gap: 10, flexWrap: "wrap" }}>
+                    <span style={{ fontSize: 26, fontWeight: 800, color: "#f97316" }}>{r.dealt}</span>
+                    <span style={{ fontSize: 12, color: "#94a3b8" }}>damage to {calc.target.name} ({r.remaining}/{r.hp} HP left before the attack)</span>
+                  </div>
+                  <div style={{ fontSize: 11, color: "#64748b", marginTop: 4 }}>
+                    {[`${r.raw} base${r.beltOn ? " incl. Maximum Belt" : ""}`, r.weakness && `weakness ${r.weakness.value}`, r.resistance && `resistance ${r.resistance.value}`, calc.reduction > 0 && `−${calc.reduction} reduction`].filter(Boolean).join(" → ")}
+                  </div>
+                  <div style={{ fontSize: 14, fontWeight: 700, marginTop: 8, color: r.ko ? "#10b981" : "#eab308" }}>
+                    {r.ko ? "✓ Knock Out" : r.dealt ? `${r.left} HP left · ${r.hitsToKo} hits to KO` : "No damage"}
+                    {r.spread > 0 && calc.bench && <span style={{ color: r.benchKo ? "#10b981" : "#64748b", fontWeight: 600 }}> · Bench {calc.bench.name} {r.benchKo ? "KO" : `${r.benchLeft - r.spread * 10} HP left`}</span>}
+                  </div>
+                  {r.prizes > 0 && <div style={{ fontSize: 12, color: "#e2e8f0", marginTop: 4 }}>🏆 Takes {r.prizes} prize{r.prizes === 1 ? "" : "s"}</div>}
+                </div>
+              )}
+            </>}
+          </Overlay>
+        );
+      })()}
+
       {/* Export */}
       {modal === "export" && (
-        <Overlay onClose={() => setModal(null)}>
-          <ModalHeader title="📤 Export Deck" onClose={() => setModal(null)} />
+        <Overlay isMobile={isMobile} onClose={() => setModal(null)}>
+          <ModalHeader isMobile={isMobile} title="📤 Export Deck" onClose={() => setModal(null)} />
+          <div style={{ display: "flex", gap: 6, marginBottom: 10, flexWrap: "wrap" }}>
+            {Object.entries(EXPORTERS).map(([id, ex]) => (
+              <span key={id} onClick={() => setExportFmt(id)} style={{ padding: "5px 14px", borderRadius: 20, fontSize: 12, fontWeight: 600, border: exportFmt === id ? "1px solid #22d3ee" : "1px solid rgba(255,255,255,.1)", background: exportFmt === id ? "rgba(34,211,238,.12)" : "transparent", color: exportFmt === id ? "#22d3ee" : "#64748b", cursor: "pointer", WebkitTapHighlightColor: "transparent" }}>{ex.label}</span>
+            ))}
+          </div>
           <textarea readOnly value={exportText} style={{ width: "100%", minHeight: isMobile ? 180 : 200, padding: 14, borderRadius: 10, border: "1px solid rgba(255,255,255,.1)", background: "rgba(15,23,42,.8)", color: "#e2e8f0", fontSize: 13, fontFamily: "'SF Mono',monospace", outline: "none", resize: "vertical", boxSizing: "border-box" }} />
-          <div style={{ marginTop: 12 }}>
+          <div style={{ marginTop: 12, display: "flex", gap: 8, flexWrap: "wrap" }}>
             <button style={css.btn("linear-gradient(135deg,#ef4444,#f97316)", "white")} onClick={() => navigator.clipboard?.writeText(exportText)}>📋 Copy to Clipboard</button>
+            <button style={css.btn("rgba(255,255,255,.06)", "#94a3b8", "1px solid rgba(255,255,255,.1)")} onClick={() => { const ex = EXPORTERS[exportFmt]; downloadFile(`${deckName || "deck"}.${ex.ext}`, exportText, ex.mime) }}>⬇️ Download .{EXPORTERS[exportFmt].ext}</button>
+          </div>
+
+          <div style={{ marginTop: 18 }}>
+            <div style={{ ...css.sectionTitle, marginBottom: 8 }}>🖨️ Deck Registration Sheet</div>
+            <div style={{ display: "grid", gridTemplateColumns: isMobile ? "1fr" : "2fr 1fr 1fr", gap: 8 }}>
+              <input style={css.input} placeholder="Player name" value={player.name || ""} onChange={e => setPlayer(p => ({ ...p, name: e.target.value }))} />
+              <input style={css.input} placeholder="Player ID" value={player.id || ""} onChange={e => setPlayer(p => ({ ...p, id: e.target.value }))} />
+              <input style={css.input} placeholder="Date of birth" value={player.dob || ""} onChange={e => setPlayer(p => ({ ...p, dob: e.target.value }))} />
+            </div>
+            <div style={{ display: "flex", gap: 8, marginTop: 8, alignItems: "center", flexWrap: "wrap" }}>
+              <select style={{ ...css.select, flex: "none" }} value={player.division || ""} onChange={e => setPlayer(p => ({ ...p, division: e.target.value }))}>
+                <option value="">Division...</option>
+                {["Junior", "Senior", "Masters"].map(d => <option key={d} value={d}>{d}</option>)}
+              </select>
+              <button style={css.btn("rgba(34,211,238,.12)", "#22d3ee", "1px solid rgba(34,211,238,.25)")} disabled={!deck.length} onClick={printRegistration}>🖨️ Print / Save PDF</button>
+            </div>
           </div>
-          <p style={{ fontSize: 11, color: "#475569", marginTop: 10 }}>Compatible with PTCGO/PTCGL.</p>
+          {shareLink && (
+            <div style={{ marginTop: 16 }}>
+              <div style={{ ...css.sectionTitle, marginBottom: 8 }}>🔗 Share Link · format v{SHARE_VERSION}</div>
+              <div style={{ display: "flex", gap: 8 }}>
+                <input readOnly value={shareLink} onFocus={e => e.target.select()} style={{ ...css.input, fontSize: 12, fontFamily: "'SF Mono',monospace" }} />
+                <button style={{ ...css.btn("rgba(34,211,238,.12)", "#22d3ee", "1px solid rgba(34,211,238,.25)"), flexShrink: 0 }} onClick={() => { navigator.clipboard?.writeText(shareLink); setToast({ text: "Share link copied", tone: "#10b981" }) }}>📋 Copy</button>
+              </div>
+              <p style={{ fontSize: 11, color: "#475569", marginTop: 6 }}>Anyone with the link opens this exact list — no account or server needed.</p>
+            </div>
+          )}
         </Overlay>
       )}
 
       {/* Import */}
       {modal === "import" && (
-        <Overlay onClose={() => setModal(null)}>
-          <ModalHeader title="📥 Import Deck" onClose={() => setModal(null)} />
-          <p style={{ fontSize: 12, color: "#94a3b8", marginBottom: 10 }}>Paste a deck list:</p>
-          <textarea value={importText} onChange={e => setImportText(e.target.value)} placeholder={"Pokémon: 20\n4 Charizard ex OBF 125\n..."} style={{ width: "100%", minHeight: isMobile ? 180 : 200, padding: 14, borderRadius: 10, border: "1px solid rgba(255,255,255,.1)", background: "rgba(15,23,42,.8)", color: "#e2e8f0", fontSize: 13, fontFamily: "'SF Mono',monospace", outline: "none", resize: "vertical", boxSizing: "border-box" }} />
-          <div style={{ marginTop: 12 }}>
-            <button style={css.btn("linear-gradient(135deg,#10b981,#059669)", "white")} onClick={() => { handleImport(importText); setModal(null) }}>⬇️ Import</button>
-          </div>
+        <Overlay isMobile={isMobile} onClose={() => { setModal(null); setImportReport(null) }}>
+          <ModalHeader isMobile={isMobile} title="📥 Import Deck" onClose={() => { setModal(null); setImportReport(null) }} />
+          {!importReport ? (
+            <>
+              <p style={{ fontSize: 12, color: "#94a3b8", marginBottom: 10 }}>Paste a deck list:</p>
+              <textarea value={importText} onChange={e => setImportText(e.target.value)} placeholder={"Pokémon: 20\n4 Charizard ex OBF 125\n..."} style={{ width: "100%", minHeight: isMobile ? 180 : 200, padding: 14, borderRadius: 10, border: "1px solid rgba(255,255,255,.1)", background: "rgba(15,23,42,.8)", color: "#e2e8f0", fontSize: 13, fontFamily: "'SF Mono',monospace", outline: "none", resize: "vertical", boxSizing: "border-box" }} />
+              <div style={{ marginTop: 12, display: "flex", alignItems: "center", gap: 10 }}>
+                <button style={{ ...css.btn(importProgress ? "rgba(255,255,255,.06)" : "linear-gradient(135deg,#10b981,#059669)", importProgress ? "#64748b" : "white"), cursor: importProgress ? "wait" : "pointer" }} disabled={!!importProgress} onClick={() => handleImport(importText)}>🔎 Check List</button>
+                {importProgress && <span style={{ fontSize: 12, color: "#64748b" }}>Resolving {importProgress.done} of {importProgress.total}...</span>}
+              </div>
+            </>
+          ) : (
+            <>
+              <div style={{ display: "flex", gap: 6, marginBottom: 12, flexWrap: "wrap" }}>
+                {[["resolved", "✓ Resolved", "#10b981"], ["ambiguous", "? Ambiguous", "#eab308"], ["missing", "✕ Not found", "#ef4444"]].map(([st, l, c]) => (
+                  <span key={st} style={css.badge(c)}>{l}: {importReport.filter(r => r.status === st).length}</span>
+                ))}
+              </div>
+              {importReport.map((r, i) => {
+                const c = { resolved: "#10b981", ambiguous: "#eab308", missing: "#ef4444" }[r.status];
+                return (
+                  <div key={i} style={{ padding: "8px 10px", borderRadius: 8, background: `${c}0a`, border: `1px solid ${c}20`, marginBottom: 4 }}>
+                    <div style={{ display: "flex", justifyContent: "space-between", gap: 8, alignItems: "center" }}>
+                      <span style={{ fontSize: 13, color: "#cbd5e1", minWidth: 0, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{r.line}</span>
+                      {r.card && <span style={{ fontSize: 11, color: "#64748b", flexShrink: 0 }}>{r.card.set?.name} · {r.card.number}</span>}
+                    </div>
+                    {r.reason && <div style={{ fontSize: 11, color: c, marginTop: 2 }}>{r.reason}</div>}
+                    {r.status === "ambiguous" && r.candidates.length > 1 && (
+                      <select style={{ ...css.select, width: "100%", marginTop: 6 }} value={r.card.id} onChange={e => pickPrinting(i, e.target.value)}>
+                        {r.candidates.map(cd => <option key={cd.id} value={cd.id}>{cd.name} — {cd.set?.name} {cd.set?.ptcgoCode || ""} {cd.number}</option>)}
+                      </select>
+                    )}
+                  </div>
+                );
+              })}
+              <div style={{ marginTop: 12, display: "flex", gap: 8, flexWrap: "wrap" }}>
+                <button style={css.btn("rgba(255,255,255,.06)", "#94a3b8", "1px solid rgba(255,255,255,.1)")} onClick={() => setImportReport(null)}>← Edit List</button>
+                <button style={css.btn("linear-gradient(135deg,#10b981,#059669)", "white")} onClick={applyImport}>⬇️ Replace Deck ({importReport.reduce((s, r) => s + (r.card ? r.count : 0), 0)} cards)</button>
+              </div>
+            </>
+          )}
         </Overlay>
       )}
 
       {/* Saved Decks */}
       {modal === "saved" && (
-        <Overlay onClose={() => setModal(null)}>
-          <ModalHeader title="📂 Saved Decks" onClose={() => setModal(null)} />
+        <Overlay isMobile={isMobile} onClose={() => setModal(null)}>
+          <ModalHeader isMobile={isMobile} title="📂 Saved Decks" onClose={() => setModal(null)} />
+          <div style={{ display: "flex", gap: 6, marginBottom: 14, flexWrap: "wrap" }}>
+            <input style={{ ...css.input, flex: "1 1 180px", width: "auto" }} placeholder="Version note (optional)" value={saveNote} onChange={e => setSaveNote(e.target.value)} />
+            <button style={css.btn("linear-gradient(135deg,#ef4444,#f97316)", "white")} disabled={!deck.length} onClick={() => { saveDeck(saveNote.trim()); setSaveNote("") }}>
+              💾 {savedDecks.some(d => d.id === currentDeckId) ? "Save Version" : "Save Deck"}
+            </button>
+            {savedDecks.some(d => d.id === currentDeckId) && (
+              <button style={css.btn("rgba(255,255,255,.06)", "#94a3b8", "1px solid rgba(255,255,255,.1)")} disabled={!deck.length} onClick={() => { saveDeck(saveNote.trim(), true); setSaveNote("") }}>Save as New</button>
+            )}
+          </div>
+          <div style={{ display: "flex", gap: 6, marginBottom: 10, flexWrap: "wrap" }}>
+            <input style={{ ...css.input, flex: "1 1 160px", width: "auto", padding: isMobile ? "10px 12px" : "7px 12px" }} placeholder="🔍 Search name, tag, folder, archetype" value={libQuery} onChange={e => setLibQuery(e.target.value)} />
+            <select style={{ ...css.select, flex: "none" }} value={libFolder} onChange={e => setLibFolder(e.target.value)}>
+              <option value="*">All folders</option>
+              <option value="">Unfiled</option>
+              {folders.map(f => <option key={f} value={f}>📁 {f}</option>)}
+            </select>
+            <select style={{ ...css.select, flex: "none" }} value={libSort} onChange={e => setLibSort(e.target.value)}>
+              <option value="date">Newest first</option>
+              <option value="name">Name</option>
+              <option value="archetype">Archetype</option>
+            </select>
+          </div>
+          <datalist id="lib-folders">{folders.map(f => <option key={f} value={f} />)}</datalist>
           {savedDecks.length === 0 ? (
             <div style={{ textAlign: "center", color: "#475569", padding: 40 }}><div style={{ fontSize: 40, marginBottom: 10 }}>🗃️</div>No saved decks yet</div>
-          ) : savedDecks.map((d, i) => (
-            <div key={i} style={{ display: "flex", alignItems: "center", gap: 12, padding: "10px 14px", borderRadius: 10, background: "rgba(255,255,255,.03)", border: "1px solid rgba(255,255,255,.07)", marginBottom: 6 }}>
-              <div style={{ flex: 1, minWidth: 0 }}>
-                <div style={{ fontWeight: 700, fontSize: 14 }}>{d.name}</div>
-                <div style={{ fontSize: 11, color: "#64748b" }}>{d.cards.length} cards · {d.date}</div>
+          ) : library.length === 0 ? (
+            <div style={{ textAlign: "center", color: "#475569", padding: 24, fontSize: 13 }}>No saved decks match</div>
+          ) : library.map(d => {
+            const open = expandedSaved === d.id, latest = d.versions[0];
+            return (
+              <div key={d.id} style={{ borderRadius: 10, background: "rgba(255,255,255,.03)", border: d.id === currentDeckId ? "1px solid rgba(34,211,238,.3)" : "1px solid rgba(255,255,255,.07)", marginBottom: 6 }}>
+                <div style={{ display: "flex", alignItems: "center", gap: 12, padding: "10px 14px" }}>
+                  <div style={{ flex: 1, minWidth: 0, cursor: "pointer" }} onClick={() => setExpandedSaved(open ? null : d.id)}>
+                    <div style={{ fontWeight: 700, fontSize: 14 }}>{d.name} <span style={{ fontSize: 11, color: "#475569" }}>{open ? "▲" : "▼"}</span></div>
+                    <div style={{ fontSize: 11, color: "#64748b" }}>{latest ? entryCount(latest.entries) : 0} cards · {d.versions.length} version{d.versions.length === 1 ? "" : "s"} · {latest ? new Date(latest.time).toLocaleDateString() : ""}{d.archetype ? ` · ${d.archetype}` : ""}</div>
+                    {(d.folder || d.tags.length > 0) && (
+                      <div style={{ display: "flex", gap: 4, flexWrap: "wrap", marginTop: 4 }}>
+                        {d.folder && <span style={css.badge("#fbbf24")}>📁 {d.folder}</span>}
+                        {d.tags.map(t => <span key={t} onClick={e => { e.stopPropagation(); setLibQuery(t) }} style={{ ...css.badge("#a78bfa"), cursor: "pointer" }}>#{t}</span>)}
+                      </div>
+                    )}
+                  </div>
+                  <button style={css.btn("rgba(255,255,255,.06)", "#94a3b8", "1px solid rgba(255,255,255,.1)")} onClick={() => loadSaved(d)}>Load</button>
+                  <button title="Game log" style={{ ...css.btn("rgba(255,255,255,.06)", "#94a3b8", "1px solid rgba(255,255,255,.1)"), padding: isMobile ? "10px 12px" : "7px 10px" }} onClick={() => openGames(d.id)}>📊</button>
+                  <button title="Rename, folder, tags" style={{ ...css.btn("rgba(255,255,255,.06)", "#94a3b8", "1px solid rgba(255,255,255,.1)"), padding: isMobile ? "10px 12px" : "7px 10px" }} onClick={() => setLibEdit(libEdit?.id === d.id ? null : { id: d.id, name: d.name, folder: d.folder, tags: d.tags.join(", "), archetype: d.archetype })}>✏️</button>
+                  <button title="Duplicate" style={{ ...css.btn("rgba(255,255,255,.06)", "#94a3b8", "1px solid rgba(255,255,255,.1)"), padding: isMobile ? "10px 12px" : "7px 10px" }} onClick={() => duplicateSaved(d)}>⧉</button>
+                  <button style={{ ...css.btn("rgba(239,68,68,.08)", "#fca5a5", "1px solid rgba(239,68,68,.15)"), padding: isMobile ? "10px 12px" : "7px 10px" }} onClick={() => { setSavedDecks(p => p.filter(x => x.id !== d.id)); if (d.id === currentDeckId) setCurrentDeckId(null) }}>🗑️</button>
+                </div>
+                {libEdit?.id === d.id && (
+                  <div style={{ padding: "0 14px 12px", display: "grid", gridTemplateColumns: isMobile ? "1fr" : "1fr 1fr", gap: 6, animation: "fadeUp .2s ease" }}>
+                    <input style={css.input} placeholder="Name" value={libEdit.name} onChange={e => setLibEdit(p => ({ ...p, name: e.target.value }))} />
+                    <input style={css.input} placeholder="Folder" list="lib-folders" value={libEdit.folder} onChange={e => setLibEdit(p => ({ ...p, folder: e.target.value }))} />
+                    <input style={css.input} placeholder="Tags, comma separated" value={libEdit.tags} onChange={e => setLibEdit(p => ({ ...p, tags: e.target.value }))} />
+                    <input style={css.input} placeholder="Archetype" value={libEdit.archetype} onChange={e => setLibEdit(p => ({ ...p, archetype: e.target.value }))} />
+                    <div style={{ display: "flex", gap: 6, gridColumn: "1 / -1" }}>
+                      <button style={css.btn("linear-gradient(135deg,#ef4444,#f97316)", "white")} onClick={saveLibEdit}>Save</button>
+                      <button style={css.btn("rgba(255,255,255,.06)", "#94a3b8", "1px solid rgba(255,255,255,.1)")} onClick={() => setLibEdit(null)}>Cancel</button>
+                    </div>
+                  </div>
+                )}
+                {open && (
+                  <div style={{ padding: "0 14px 10px", animation: "fadeUp .2s ease" }}>
+                    {d.versions.map((v, vi) => (
+                      <div key={v.id} style={{ display: "flex", alignItems: "center", gap: 8, padding: "6px 8px", borderTop: "1px solid rgba(255,255,255,.05)", fontSize: 12 }}>
+                        <span style={{ color: "#22d3ee", fontWeight: 700, minWidth: 28 }}>v{d.versions.length - vi}</span>
+                        <span style={{ flex: 1, minWidth: 0, color: "#94a3b8", overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{new Date(v.time).toLocaleString()}{v.note ? ` — ${v.note}` : ""}</span>
+                        <span style={{ color: "#475569" }}>{entryCount(v.entries)}</span>
+                        <button style={{ ...css.btn("rgba(255,255,255,.06)", "#94a3b8", "1px solid rgba(255,255,255,.1)"), padding: "4px 8px", fontSize: 11 }} onClick={() => loadSaved(d, v)}>Load</button>
+                        <button style={{ ...css.btn("rgba(255,255,255,.06)", "#94a3b8", "1px solid rgba(255,255,255,.1)"), padding: "4px 8px", fontSize: 11 }} onClick={() => { setDiffSides({ a: `${d.id}:${(d.versions[vi + 1] || v).id}`, b: `${d.id}:${v.id}` }); setModal("diff") }}>🔀</button>
+                      </div>
+                    ))}
+                  </div>
+                )}
               </div>
-              <button style={css.btn("rgba(255,255,255,.06)", "#94a3b8", "1px solid rgba(255,255,255,.1)")} onClick={() => { setDeck(d.cards); setDeckName(d.name); setModal(null) }}>Load</button>
-              <button style={{ ...css.btn("rgba(239,68,68,.08)", "#fca5a5", "1px solid rgba(239,68,68,.15)"), padding: isMobile ? "10px 12px" : "7px 10px" }} onClick={() => setSavedDecks(p => p.filter((_, j) => j !== i))}>🗑️</button>
-            </div>
-          ))}
+            );
+          })}
+          {savedDecks.length > 0 && (
+            <button style={{ ...css.btn("rgba(255,255,255,.06)", "#94a3b8", "1px solid rgba(255,255,255,.1)"), marginTop: 8 }} onClick={() => { setDiffSides(p => ({ a: p.a || `${savedDecks[0].id}:${savedDecks[0].versions[0].id}`, b: "current" })); setModal("diff") }}>🔀 Compare Decks</button>
+          )}
+          <div style={{ display: "flex", gap: 6, marginTop: 8, flexWrap: "wrap", alignItems: "center" }}>
+            <button style={css.btn("rgba(255,255,255,.06)", "#94a3b8", "1px solid rgba(255,255,255,.1)")} disabled={!savedDecks.length} onClick={backupLibrary}>⬇️ Backup all</button>
+            <label style={{ ...css.btn("rgba(255,255,255,.06)", "#94a3b8", "1px solid rgba(255,255,255,.1)"), cursor: "pointer" }}>
+              ⬆️ Restore<input type="file" accept=".json,application/json" style={{ display: "none" }} onChange={e => { if (e.target.files[0]) restoreLibrary(e.target.files[0]); e.target.value = "" }} />
+            </label>
+            <span style={{ fontSize: 11, color: "#475569" }}>Restoring merges with the decks above — nothing is overwritten</span>
+          </div>
         </Overlay>
       )}
+
+      {/* Deck Diff */}
+      {modal === "diff" && (() => {
+        const opts = [{ key: "current", label: `Current deck — ${deckName}` }, ...savedDecks.flatMap(d => d.versions.map((v, vi) => ({ key: `${d.id}:${v.id}`, label: `${d.name} v${d.versions.length - vi} — ${new Date(v.time).toLocaleDateString()}${v.note ? ` (${v.note})` : ""}` })))];
+        const da = sideCards(diffSides.a), db = sideCards(diffSides.b), diff = diffDecks(da, db);
+        return (
+          <Overlay isMobile={isMobile} onClose={() => setModal("saved")}>
+            <ModalHeader isMobile={isMobile} title="🔀 Compare Decks" onClose={() => setModal("saved")} />
+            <div style={{ display: "flex", gap: 8, marginBottom: 14, flexDirection: isMobile ? "column" : "row" }}>
+              {["a", "b"].map(side => (
+                <select key={side} style={css.select} value={diffSides[side]} onChange={e => setDiffSides(p => ({ ...p, [side]: e.target.value }))}>
+                  <option value="">Choose...</option>
+                  {opts.map(o => <option key={o.key} value={o.key}>{o.label}</option>)}
+                </select>
+              ))}
+            </div>
+            {diffSides.a && diffSides.b && (
+              <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 8, marginBottom: 8 }}>
+                {["a", "b"].map(side => <div key={side} style={{ ...css.sectionTitle, textTransform: "none", letterSpacing: 0, color: "#94a3b8", overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{opts.find(o => o.key === diffSides[side])?.label}</div>)}
+              </div>
+            )}
+            {["Pokémon", "Trainer", "Energy"].map(st => {
+              const rows = diff[st]; if (!rows.length) return null;
+              const cell = (r, n, tone) => (
+                <div style={{ display: "flex", alignItems: "center", gap: 6, padding: "4px 8px", borderRadius: 6, fontSize: isMobile ? 12 : 13, minWidth: 0, background: n && r.delta ? `${tone}14` : "transparent", opacity: n ? 1 : 0.35 }}>
+                  <span style={{ fontWeight: 800, minWidth: 22, color: n && r.delta ? tone : "#94a3b8" }}>{n || "–"}</span>
+                  <span style={{ flex: 1, color: "#cbd5e1", overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{r.name}</span>
+                  <span style={{ fontSize: 10, color: "#64748b", flexShrink: 0 }}>{r.set} {r.number}</span>
+                </div>
+              );
+              return (
+                <div key={st} style={{ marginBottom: 12 }}>
+                  <div style={{ ...css.sectionTitle, padding: "6px 0", borderBottom: "1px solid rgba(255,255,255,.06)", marginBottom: 6, display: "grid", gridTemplateColumns: "1fr 1fr", gap: 8 }}>
+                    <span>{st} ({rows.reduce((s, r) => s + r.from, 0)})</span><span>{st} ({rows.reduce((s, r) => s + r.to, 0)})</span>
+                  </div>
+                  {rows.map(r => (
+                    <div key={r.key} style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 8 }}>
+                      {cell(r, r.from, "#f87171")}{cell(r, r.to, "#4ade80")}
+                    </div>
+                  ))}
+                </div>
+              );
+            })}
+            <p style={{ fontSize: 11, color: "#475569" }}>{Object.values(diff).flat().filter(r => r.delta).length} printings changed, {Object.values(diff).flat().filter(r => !r.delta).length} unchanged.</p>
+          </Overlay>
+        );
+      })()}
+
+      {/* Toast */}
+      {toast && (
+        <div style={{ position: "fixed", left: "50%", transform: "translateX(-50%)", bottom: isMobile ? 80 : 24, zIndex: 300, maxWidth: "min(92vw, 520px)", display: "flex", alignItems: "center", gap: 10, padding: "10px 14px", borderRadius: 10, background: "#0f172a", border: `1px solid ${toast.tone || "#22d3ee"}55`, boxShadow: "0 10px 30px rgba(0,0,0,.5)", fontSize: 13, color: "#e2e8f0", animation: "fadeUp .2s ease" }}>
+          <span style={{ flex: 1 }}>{toast.text}</span>
+          {toast.action && <button style={{ ...css.btn("rgba(34,211,238,.12)", "#22d3ee", "1px solid rgba(34,211,238,.25)"), padding: "5px 10px", fontSize: 12, flexShrink: 0 }} onClick={() => { toast.action.run(); setToast(null) }}>{toast.action.label}</button>}
+          <button onClick={() => setToast(null)} style={{ background: "none", border: "none", color: "#64748b", cursor: "pointer", fontSize: 14 }}>✕</button>
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,909 @@
+// Deck toolkit — the framework-free half of PokéDeck Builder: list parsing, card lookup, format rules,
+// analytics, exporters and the saved-deck / collection / share-link formats. Shared by the React app
+// (src/App.jsx) and the command-line tool (bin/pokedeck.js), so nothing in here may touch React, the
+// DOM or the network.
+
+// ─── Constants ───────────────────────────────────────────────────────
+export const MAX_DECK = 60, MAX_COPIES = 4;
+export const BASIC_ENERGY = ["Grass Energy","Fire Energy","Water Energy","Lightning Energy","Psychic Energy","Fighting Energy","Darkness Energy","Metal Energy","Fairy Energy"];
+// Hardcoded types — these almost never change and avoids a rate-limited API call
+export const POKEMON_TYPES = ["Colorless","Darkness","Dragon","Fairy","Fighting","Fire","Grass","Lightning","Metal","Psychic","Water"];
+export const REG_MARKS = ["D","E","F","G","H","I","J"];
+
+// ─── Search queries ─────────────────────────────────────────────────
+export const quoteQ = v => `"${v.replace(/"/g, '\\"')}"`;
+
+// Advanced filters → a pokemontcg.io Lucene query
+export function buildQ({ name, type, supertype, set, legality, subtypes = [], hpMin, hpMax, retreatMax, weakness, text, rarity, regMark, raw, exclude = [], banned = [] }) {
+  const p = [];
+  if (name) p.push(`name:"${name}*"`); if (type) p.push(`types:${type}`);
+  if (supertype) p.push(`supertype:${supertype}`); if (set) p.push(`set.id:${set}`);
+  if (legality) p.push(`legalities.${legality}:legal`);
+  subtypes.forEach(st => p.push(`subtypes:${quoteQ(st)}`));
+  exclude.forEach(st => p.push(`-subtypes:${quoteQ(st)}`));
+  banned.forEach(n => p.push(`-name:${quoteQ(n)}`));
+  if (hpMin || hpMax) p.push(`hp:[${hpMin || "*"} TO ${hpMax || "*"}]`);
+  if (retreatMax !== "" && retreatMax != null) p.push(`convertedRetreatCost:[0 TO ${retreatMax}]`);
+  if (weakness) p.push(`weaknesses.type:${weakness}`);
+  if (text) { const t = quoteQ(`*${text}*`); p.push(`(attacks.text:${t} OR abilities.text:${t} OR rules:${t})`) }
+  if (rarity) p.push(`rarity:${quoteQ(rarity)}`);
+  if (regMark) p.push(`(${REG_MARKS.slice(REG_MARKS.indexOf(regMark)).map(m => `regulationMark:${m}`).join(" OR ")})`);
+  if (raw) p.push(`(${raw})`);
+  return p.join(" ");
+}
+
+// Same filters as buildQ, evaluated against a card object. A raw query can't be, so it's ignored here.
+export function matchesFilters(c, { name, type, supertype, legality, subtypes = [], hpMin, hpMax, retreatMax, weakness, text, rarity, regMark, exclude = [], banned = [] }) {
+  const hp = parseInt(c.hp) || 0, t = text?.toLowerCase();
+  const texts = [...(c.attacks || []).map(a => a.text), ...(c.abilities || []).map(a => a.text), ...(c.rules || [])];
+  return (!name || c.name.toLowerCase().includes(name.toLowerCase())) && (!type || c.types?.includes(type)) &&
+    (!supertype || c.supertype === supertype) && (!legality || c.legalities?.[legality] === "Legal") &&
+    subtypes.every(st => (c.subtypes || []).includes(st)) && !exclude.some(st => (c.subtypes || []).includes(st)) &&
+    !banned.includes(copyKey(c)) && (!hpMin || hp >= +hpMin) && (!hpMax || (c.hp && hp <= +hpMax)) &&
+    (retreatMax === "" || retreatMax == null || (c.retreatCost || []).length <= +retreatMax) &&
+    (!weakness || (c.weaknesses || []).some(w => w.type === weakness)) &&
+    (!t || texts.some(x => x?.toLowerCase().includes(t))) && (!rarity || c.rarity === rarity) &&
+    (!regMark || REG_MARKS.indexOf(c.regulationMark) >= REG_MARKS.indexOf(regMark));
+}
+
+// Result orderings: the API's orderBy for remote searches and the same order for the offline store
+const byNum = (x, y) => (parseInt(x.number) || 0) - (parseInt(y.number) || 0) || String(x.number).localeCompare(String(y.number));
+const bySetDate = (x, y) => (x.set?.releaseDate || "").localeCompare(y.set?.releaseDate || "");
+const byCardName = (x, y) => x.name.localeCompare(y.name);
+
+// The API stores hp and number as strings and orders them as text ("90" before "330"), so sorts marked
+// textOrder are only offered for searches the offline store answers in full (a synced set)
+export const CARD_SORTS = {
+  newest: { label: "Newest", orderBy: "-set.releaseDate,number", cmp: (x, y) => bySetDate(y, x) || byNum(x, y) },
+  name: { label: "Name", orderBy: "name,-set.releaseDate", cmp: (x, y) => byCardName(x, y) || bySetDate(y, x) },
+  hp: { label: "HP (high first)", orderBy: "-hp,name", textOrder: true, cmp: (x, y) => (parseInt(y.hp) || 0) - (parseInt(x.hp) || 0) || byCardName(x, y) },
+  set: { label: "Set (oldest first)", orderBy: "set.releaseDate,number", cmp: (x, y) => bySetDate(x, y) || byNum(x, y) },
+  number: { label: "Number", orderBy: "number,-set.releaseDate", textOrder: true, cmp: (x, y) => byNum(x, y) || bySetDate(y, x) },
+  rarity: { label: "Rarity", orderBy: "rarity,name", cmp: (x, y) => (x.rarity || "").localeCompare(y.rarity || "") || byCardName(x, y) },
+};
+
+// ─── Deck list import ───────────────────────────────────────────────
+// Matches PTCG Live / Limitless lines: "4 Charizard ex OBF 125", "1 Iono PR-SV 124", "12 Fire Energy"
+const LINE_RE = /^(\d+)\s+(.+?)(?:\s+([A-Z0-9]+(?:-[A-Z0-9]+)?)\s+([A-Za-z]*\d+[A-Za-z]?))?$/;
+export const ENERGY_SYM = { G: "Grass", R: "Fire", W: "Water", L: "Lightning", P: "Psychic", F: "Fighting", D: "Darkness", M: "Metal", Y: "Fairy" };
+
+// PTCG Live writes basic Energy as "Basic {R} Energy"; Limitless sometimes as "Basic Fire Energy"
+export const normName = n => n.trim()
+  .replace(/^Basic \{(\w)\} Energy$/, (m, s) => ENERGY_SYM[s] ? `${ENERGY_SYM[s]} Energy` : m)
+  .replace(/^Basic (\w+ Energy)$/, "$1");
+
+export function parseDeckList(text) {
+  return text.split("\n").map(l => l.trim()).filter(Boolean).map(line => {
+    const m = line.match(LINE_RE);
+    if (!m) return null;
+    return { line, count: parseInt(m[1]), name: normName(m[2]), setCode: m[3] || null, number: m[4] || null };
+  }).filter(Boolean);
+}
+
+// ─── Card lookup ────────────────────────────────────────────────────
+export const nameKey = n => normName(n).toLowerCase().replace(/[’`]/g, "'");
+export const printKey = (code, number) => `${code} ${number}`.toUpperCase();
+export const chunk = (arr, n) => Array.from({ length: Math.ceil(arr.length / n) }, (_, i) => arr.slice(i * n, i * n + n));
+export const byNewest = (x, y) => (y.set?.releaseDate || "").localeCompare(x.set?.releaseDate || "") || (parseInt(x.number) || 0) - (parseInt(y.number) || 0);
+
+// An in-memory source for resolveList — the CLI's card data file, or any list of API card objects
+export function localSource(cards) {
+  const byName = new Map(), byPrint = new Map();
+  const add = (m, k, c) => { if (!m.has(k)) m.set(k, []); m.get(k).push(c) };
+  [...cards].sort(byNewest).forEach(c => {
+    add(byName, nameKey(c.name), c);
+    if (c.set?.ptcgoCode && c.number) add(byPrint, printKey(c.set.ptcgoCode, c.number), c);
+  });
+  return {
+    async byNames(names, onProgress) {
+      const keys = [...new Set(names.map(nameKey))].filter(k => byName.has(k));
+      onProgress?.(keys);
+      return new Map(keys.map(k => [k, byName.get(k)]));
+    },
+    async byPrintings(pairs) {
+      const keys = [...new Set(pairs.map(p => printKey(p.setCode, p.number)))].filter(k => byPrint.has(k));
+      return new Map(keys.map(k => [k, byPrint.get(k)]));
+    },
+  };
+}
+
+// Resolve parsed list entries to cards: exact printing via set.ptcgoCode + number, name only as a fallback.
+// status: "resolved" (exact printing or the only printing), "ambiguous" (picked newest of several), "missing".
+// `source` is anything with byPrintings/byNames — the app's network resolver or localSource(cards).
+// onProgress(done, total) counts list entries.
+export async function resolveList(entries, source, onProgress) {
+  const report = entries.map(e => ({ ...e, status: "missing", card: null, candidates: [], reason: null }));
+  let done = 0;
+  const tick = match => { done += report.filter(match).length; onProgress?.(done, entries.length) };
+
+  const withCode = report.filter(r => r.setCode && r.number);
+  const printed = await source.byPrintings(withCode);
+  withCode.forEach(r => {
+    const hits = (printed.get(printKey(r.setCode, r.number)) || []).filter(c => nameKey(c.name) === nameKey(r.name));
+    if (hits.length) Object.assign(r, { status: hits.length === 1 ? "resolved" : "ambiguous", card: hits[0], candidates: hits, reason: hits.length > 1 ? `${hits.length} cards share ${r.setCode} ${r.number}` : null });
+  });
+  done = report.filter(r => r.card).length;
+  onProgress?.(done, entries.length);
+
+  const rest = report.filter(r => !r.card);
+  const named = await source.byNames(rest.map(r => r.name), keys => tick(r => !r.card && keys.includes(nameKey(r.name))));
+  rest.forEach(r => {
+    const hits = named.get(nameKey(r.name)) || [];
+    if (!hits.length) { r.reason = r.setCode ? `${r.setCode} ${r.number} not found` : null; return }
+    Object.assign(r, {
+      status: !r.setCode && hits.length === 1 ? "resolved" : "ambiguous", card: hits[0], candidates: hits,
+      reason: r.setCode ? `${r.setCode} ${r.number} not found — matched by name` : `matched by name — ${hits.length} printings`,
+    });
+  });
+  onProgress?.(entries.length, entries.length);
+  return report;
+}
+
+// ─── Deck rules engine ──────────────────────────────────────────────
+// Each rule takes (deck, format) and returns violations: { rule, severity: "error" | "warning", message, cardIds }
+export const hasSub = (c, st) => (c.subtypes || []).includes(st);
+export const isBasicEnergy = c => c.supertype === "Energy" && (hasSub(c, "Basic") || BASIC_ENERGY.includes(normName(c.name)));
+// Same-name rule ignores printing suffixes, e.g. "Professor's Research (Professor Sada)"
+export const copyKey = c => normName(c.name).replace(/\s*\(.*\)$/, "").replace(/[’`]/g, "'");
+const uniqIds = cards => [...new Set(cards.map(c => c.id))];
+
+export const RULES = {
+  deckSize: (deck, f) => deck.length === f.deckSize ? [] : [{ rule: "deckSize", severity: "error", message: `${deck.length}/${f.deckSize} cards`, cardIds: [] }],
+
+  copyLimit: (deck, f) => {
+    const byName = {};
+    deck.forEach(c => { if (!isBasicEnergy(c)) (byName[copyKey(c)] = byName[copyKey(c)] || []).push(c) });
+    return Object.entries(byName).filter(([, cs]) => cs.length > copyLimitOf(f, cs[0]))
+      .map(([n, cs]) => ({ rule: "copyLimit", severity: "error", message: `${n}: ${cs.length}× (max ${copyLimitOf(f, cs[0])}${n in f.restricted ? ", restricted" : ""})`, cardIds: uniqIds(cs) }));
+  },
+
+  basicPokemon: deck => {
+    if (!deck.length || deck.some(c => c.supertype === "Pokémon" && hasSub(c, "Basic"))) return [];
+    return [{ rule: "basicPokemon", severity: "error", message: "No Basic Pokémon", cardIds: [] }];
+  },
+
+  aceSpec: deck => {
+    const ace = deck.filter(c => hasSub(c, "ACE SPEC"));
+    return ace.length > 1 ? [{ rule: "aceSpec", severity: "error", message: `${ace.length} ACE SPEC cards (max 1)`, cardIds: uniqIds(ace) }] : [];
+  },
+
+  radiant: deck => {
+    const rad = deck.filter(c => hasSub(c, "Radiant"));
+    return rad.length > 1 ? [{ rule: "radiant", severity: "error", message: `${rad.length} Radiant Pokémon (max 1)`, cardIds: uniqIds(rad) }] : [];
+  },
+
+  prismStar: deck => {
+    const byName = {};
+    deck.filter(c => hasSub(c, "Prism Star")).forEach(c => (byName[copyKey(c)] = byName[copyKey(c)] || []).push(c));
+    return Object.entries(byName).filter(([, cs]) => cs.length > 1)
+      .map(([n, cs]) => ({ rule: "prismStar", severity: "error", message: `${n}: ${cs.length}× (Prism Star max 1)`, cardIds: uniqIds(cs) }));
+  },
+
+  legality: (deck, f) => {
+    if (!f.legalityKey) return [];
+    const bad = {};
+    // Every printing of basic Energy is legal, including ones from sets that have left the format
+    deck.forEach(c => { const l = c.legalities?.[f.legalityKey]; if (l !== "Legal" && !isBasicEnergy(c)) bad[c.id] = { card: c, status: l || "Not legal" } });
+    return Object.values(bad).map(({ card, status }) => ({
+      rule: "legality", severity: "error", message: `${card.name} (${card.set?.name || card.set?.id}): ${status === "Banned" ? "banned" : "not legal"} in ${f.name}`, cardIds: [card.id],
+    }));
+  },
+
+  banned: (deck, f) => {
+    const byName = {};
+    deck.filter(c => f.banned.includes(copyKey(c))).forEach(c => (byName[copyKey(c)] = byName[copyKey(c)] || []).push(c));
+    return Object.entries(byName).map(([n, cs]) => ({ rule: "banned", severity: "error", message: `${n}: banned in ${f.name}`, cardIds: uniqIds(cs) }));
+  },
+
+  bannedSubtypes: (deck, f) => {
+    const bad = {};
+    deck.forEach(c => { const st = f.bannedSubtypes.find(s => hasSub(c, s)); if (st) bad[c.id] = { card: c, st } });
+    return Object.values(bad).map(({ card, st }) => ({ rule: "bannedSubtypes", severity: "error", message: `${card.name}: ${st} cards aren't allowed in ${f.name}`, cardIds: [card.id] }));
+  },
+
+  // Every Pokémon shares one type (dual types count for both); the most common type is taken as the deck's
+  singleType: (deck, f) => {
+    const pk = deck.filter(c => c.supertype === "Pokémon");
+    if (!f.singleType || !pk.length) return [];
+    const tally = {}; pk.forEach(c => (c.types || ["Colorless"]).forEach(t => { tally[t] = (tally[t] || 0) + 1 }));
+    const main = Object.entries(tally).sort((x, y) => y[1] - x[1])[0][0], off = pk.filter(c => !(c.types || ["Colorless"]).includes(main));
+    return off.length ? [{ rule: "singleType", severity: "error", message: `${[...new Set(off.map(c => c.name))].join(", ")}: not ${main} type (one type per deck)`, cardIds: uniqIds(off) }] : [];
+  },
+
+  evolution: deck => evolutionLines(deck).flatMap(l => l.warnings),
+
+  hasEnergy: deck => deck.length && !deck.some(c => c.supertype === "Energy") ? [{ rule: "hasEnergy", severity: "warning", message: "No Energy", cardIds: [] }] : [],
+};
+
+// ─── Evolution lines ────────────────────────────────────────────────
+const RARE_CANDY = "Rare Candy";
+export const stageOf = c => hasSub(c, "Stage 2") ? 2 : hasSub(c, "Stage 1") || hasSub(c, "VSTAR") || hasSub(c, "VMAX") ? 1 : hasSub(c, "Basic") ? 0 : c.evolvesFrom ? 1 : 0;
+
+// Groups the deck's Pokémon into lines by evolvesFrom/evolvesTo, each with broken/thin-line warnings.
+// → [{ root, members: [{ name, stage, count, cards }], ratio, warnings }], single Basics with nothing above them last
+export function evolutionLines(deck) {
+  const nodes = {};
+  deck.filter(c => c.supertype === "Pokémon").forEach(c => {
+    const k = copyKey(c);
+    if (!nodes[k]) nodes[k] = { name: k, stage: stageOf(c), from: c.evolvesFrom || null, to: c.evolvesTo || [], count: 0, cards: [] };
+    nodes[k].count++; if (!nodes[k].cards.some(x => x.id === c.id)) nodes[k].cards.push(c);
+  });
+  const candy = deck.filter(c => copyKey(c) === RARE_CANDY).length;
+  // A Stage 2 whose Stage 1 isn't in the deck can still hang off a Basic that names that Stage 1 in evolvesTo
+  const basicFor = s1 => Object.values(nodes).find(n => n.stage === 0 && n.to.includes(s1));
+  const rootOf = n => {
+    const seen = new Set();
+    while (!seen.has(n.name)) {
+      seen.add(n.name);
+      const up = n.from && (nodes[n.from] || (n.stage === 2 ? basicFor(n.from) : null));
+      if (!up) return n;
+      n = up;
+    }
+    return n;
+  };
+
+  const lines = {};
+  Object.values(nodes).forEach(n => { const r = rootOf(n).name; (lines[r] = lines[r] || []).push(n) });
+  return Object.entries(lines).map(([root, members]) => {
+    members.sort((x, y) => x.stage - y.stage || x.name.localeCompare(y.name));
+    const warnings = [], ids = ns => uniqIds(ns.flatMap(n => n.cards));
+    const at = st => members.filter(m => m.stage === st).reduce((s, m) => s + m.count, 0);
+    members.filter(m => m.stage > 0).forEach(m => {
+      if (!m.from || nodes[m.from]) return;
+      if (m.stage === 1) return warnings.push({ rule: "evolution", severity: "warning", message: `${m.name}: no ${m.from} to evolve from`, cardIds: ids([m]) });
+      const basic = basicFor(m.from);
+      if (!basic) warnings.push({ rule: "evolution", severity: "warning", message: `${m.name}: no ${m.from} and no Basic for it`, cardIds: ids([m]) });
+      else if (!candy) warnings.push({ rule: "evolution", severity: "warning", message: `${m.name}: no ${m.from} and no ${RARE_CANDY}`, cardIds: ids([m]) });
+    });
+    const b = at(0), s1 = at(1), s2 = at(2);
+    if (b && s1 > b) warnings.push({ rule: "evolution", severity: "warning", message: `${root} line: ${s1} Stage 1 on ${b} Basic`, cardIds: ids(members.filter(m => m.stage === 1)) });
+    if (s2 && s2 > s1 + candy) warnings.push({ rule: "evolution", severity: "warning", message: `${root} line: ${s2} Stage 2 but only ${s1} Stage 1 + ${candy} ${RARE_CANDY}`, cardIds: ids(members.filter(m => m.stage === 2)) });
+    if (s2 && b && b <= 2) warnings.push({ rule: "evolution", severity: "warning", message: `${root} line: only ${b} Basic — easy to prize or lose`, cardIds: ids(members.filter(m => m.stage === 0)) });
+    return { root, members, ratio: [b, s1, s2].slice(0, s2 ? 3 : s1 ? 2 : 1).join("-"), warnings };
+  }).sort((x, y) => (y.members.length > 1) - (x.members.length > 1) || x.root.localeCompare(y.root));
+}
+
+// ─── Formats ────────────────────────────────────────────────────────
+// A format is plain data, so a league's rule set can come from a JSON file as well as from this list.
+// legalityKey names the card's `legalities` entry to check (null skips it); banned and restricted are card
+// names, restricted maps a name to its own copy cap; bannedSubtypes keeps whole card classes out.
+export const LEGALITY_KEYS = ["standard", "expanded", "unlimited"];
+const DEFAULT_RULES = ["deckSize", "copyLimit", "basicPokemon", "aceSpec", "radiant", "prismStar", "legality", "banned", "bannedSubtypes", "singleType", "hasEnergy", "evolution"];
+
+export const copyLimitOf = (f, c) => isBasicEnergy(c) ? Infinity : f.restricted[copyKey(c)] ?? f.maxCopies;
+
+// Checks a format spec and fills in the defaults; throws with a readable message on anything malformed
+export function defineFormat(spec) {
+  if (!spec || typeof spec !== "object" || Array.isArray(spec)) throw new Error("A format must be a JSON object");
+  const id = typeof spec.id === "string" ? spec.id.trim() : "";
+  if (!/^[a-z0-9-]+$/i.test(id)) throw new Error('A format needs an "id" made of letters, digits and dashes');
+  const int = (k, d, min) => {
+    const v = spec[k] ?? d;
+    if (!Number.isInteger(v) || v < min) throw new Error(`"${k}" must be a whole number of at least ${min}`);
+    return v;
+  };
+  const list = (k, what) => {
+    const v = spec[k] ?? [];
+    if (!Array.isArray(v) || v.some(n => typeof n !== "string" || !n.trim())) throw new Error(`"${k}" must be a list of ${what}`);
+    return v;
+  };
+  const legalityKey = spec.legalityKey === undefined ? "unlimited" : spec.legalityKey;
+  if (legalityKey !== null && !LEGALITY_KEYS.includes(legalityKey)) throw new Error(`"legalityKey" must be one of ${LEGALITY_KEYS.join(", ")} or null`);
+  const restricted = spec.restricted ?? {};
+  if (typeof restricted !== "object" || Array.isArray(restricted) || Object.values(restricted).some(v => !Number.isInteger(v) || v < 0))
+    throw new Error('"restricted" must map card names to a copy count');
+  const rules = list("rules", "rule names");
+  const unknown = rules.filter(r => !RULES[r]);
+  if (unknown.length) throw new Error(`Unknown rules: ${unknown.join(", ")}`);
+  return {
+    id, name: typeof spec.name === "string" && spec.name.trim() ? spec.name.trim() : id,
+    deckSize: int("deckSize", MAX_DECK, 1), maxCopies: int("maxCopies", MAX_COPIES, 1), legalityKey,
+    banned: list("banned", "card names").map(n => copyKey({ name: n })),
+    restricted: Object.fromEntries(Object.entries(restricted).map(([n, v]) => [copyKey({ name: n }), v])),
+    bannedSubtypes: list("bannedSubtypes", "subtypes"), singleType: spec.singleType === true,
+    rules: rules.length ? rules : DEFAULT_RULES,
+  };
+}
+
+export const FORMATS = Object.fromEntries([
+  { id: "standard", name: "Standard", legalityKey: "standard" },
+  { id: "expanded", name: "Expanded", legalityKey: "expanded" },
+  { id: "unlimited", name: "Unlimited", legalityKey: "unlimited" },
+  // Gym Leader Challenge: Expanded pool, singleton, one Pokémon type, no rule-box Pokémon, Radiants or ACE SPECs
+  {
+    id: "glc", name: "Gym Leader Challenge", legalityKey: "expanded", maxCopies: 1, singleType: true,
+    bannedSubtypes: ["ex", "EX", "GX", "V", "VSTAR", "VMAX", "V-UNION", "TAG TEAM", "Radiant", "Prism Star", "ACE SPEC"],
+    banned: ["Lysandre's Trump Card", "Forest of Giant Plants"],
+  },
+].map(spec => [spec.id, defineFormat(spec)]));
+
+// Search filters that keep results inside a format
+export const formatFilters = f => ({ legality: f.legalityKey === "unlimited" ? "" : f.legalityKey || "", exclude: f.bannedSubtypes, banned: f.banned });
+
+export function validateDeck(deck, format) {
+  return format.rules.flatMap(r => RULES[r](deck, format));
+}
+
+export function analyze(deck, format = FORMATS.standard) {
+  const pk = deck.filter(c => c.supertype === "Pokémon"), tr = deck.filter(c => c.supertype === "Trainer"), en = deck.filter(c => c.supertype === "Energy");
+  const typeD = {}; pk.forEach(c => (c.types || ["Colorless"]).forEach(t => { typeD[t] = (typeD[t] || 0) + 1 }));
+  const hp = { low: 0, mid: 0, high: 0, vh: 0 };
+  pk.forEach(c => { const h = parseInt(c.hp) || 0; if (h <= 70) hp.low++; else if (h <= 120) hp.mid++; else if (h <= 200) hp.high++; else hp.vh++ });
+  const tb = { Item: 0, Supporter: 0, Stadium: 0, Tool: 0, Other: 0 };
+  tr.forEach(c => { const s = (c.subtypes || [])[0]; if (tb[s] !== undefined) tb[s]++; else tb.Other++ });
+  const violations = validateDeck(deck, format);
+  const badIds = new Set(violations.filter(v => v.severity === "error").flatMap(v => v.cardIds));
+  const avgHP = pk.length ? Math.round(pk.reduce((s, c) => s + (parseInt(c.hp) || 0), 0) / pk.length) : 0;
+  return { total: deck.length, pk: pk.length, tr: tr.length, en: en.length, typeD, hp, tb, violations, badIds, avgHP, valid: deck.length > 0 && !violations.some(v => v.severity === "error") };
+}
+
+// ─── Energy requirements ────────────────────────────────────────────
+// Compares attack costs with the Energy the deck runs. Special Energy counts for the types
+// its rules text names ({R}, "every type"); abilities and Trainers that move Energy aren't modelled.
+const energyTypeOf = c => normName(c.name).replace(/ Energy$/, "");
+
+function energyProvides(c) {
+  if (isBasicEnergy(c)) return [energyTypeOf(c)];
+  const text = (c.rules || []).join(" ");
+  if (/every type/i.test(text)) return ["Any"];
+  return [...new Set([...text.matchAll(/\{(\w)\}/g)].map(m => ENERGY_SYM[m[1]]).filter(Boolean))];
+}
+
+export function energyProfile(deck, basicTarget) {
+  const pk = deck.filter(c => c.supertype === "Pokémon"), en = deck.filter(c => c.supertype === "Energy");
+  const costByType = {}, costSizes = [0, 0, 0, 0, 0], demand = {};
+  pk.forEach(c => {
+    const best = {};
+    (c.attacks || []).forEach(at => {
+      const cost = at.cost || [];
+      costSizes[Math.min(cost.length, 4)]++;
+      const per = {};
+      cost.forEach(t => { costByType[t] = (costByType[t] || 0) + 1; if (t !== "Colorless") per[t] = (per[t] || 0) + 1 });
+      Object.entries(per).forEach(([t, n]) => { best[t] = Math.max(best[t] || 0, n) });
+    });
+    // A copy needs enough of each type for its hungriest attack
+    Object.entries(best).forEach(([t, n]) => { demand[t] = (demand[t] || 0) + n });
+  });
+  const basics = {}, provided = new Set();
+  en.forEach(c => {
+    if (isBasicEnergy(c)) basics[energyTypeOf(c)] = (basics[energyTypeOf(c)] || 0) + 1;
+    energyProvides(c).forEach(t => provided.add(t));
+  });
+  const needed = Object.keys(demand);
+  const missing = provided.has("Any") ? [] : needed.filter(t => !provided.has(t));
+  const unused = Object.keys(basics).filter(t => !demand[t]);
+  const retreats = pk.map(c => c.retreatCost?.length || 0);
+  const avgRetreat = retreats.length ? retreats.reduce((x, y) => x + y, 0) / retreats.length : 0;
+
+  // Largest-remainder split of the basic Energy slots, proportional to demand (one of each type first)
+  const total = basicTarget ?? (Object.values(basics).reduce((x, y) => x + y, 0) || 10);
+  const weight = needed.reduce((x, t) => x + demand[t], 0), split = {};
+  if (weight) {
+    const floor = total >= needed.length ? 1 : 0, rest = total - floor * needed.length;
+    const shares = needed.map(t => ({ t, v: rest * demand[t] / weight }));
+    shares.forEach(({ t, v }) => { split[t] = floor + Math.floor(v) });
+    let left = total - Object.values(split).reduce((x, y) => x + y, 0);
+    [...shares].sort((x, y) => (y.v % 1) - (x.v % 1)).forEach(({ t }) => { if (left > 0) { split[t]++; left-- } });
+  }
+  return { costByType, costSizes, demand, basics, missing, unused, avgRetreat, split, splitTotal: weight ? total : 0 };
+}
+
+// ─── Draw probability ───────────────────────────────────────────────
+const choose = (n, k) => {
+  if (k < 0 || k > n) return 0;
+  let r = 1; for (let i = 1; i <= Math.min(k, n - k); i++) r = r * (n - i + 1) / i;
+  return r;
+};
+
+// P(at least k successes) drawing n cards from N with K successes, no replacement
+export function hyperAtLeast(N, K, n, k = 1) {
+  if (!N) return 0;
+  let p = 0; for (let i = k; i <= Math.min(K, n); i++) p += choose(K, i) * choose(N - K, n - i) / choose(N, n);
+  return Math.min(p, 1);
+}
+
+// Small seeded PRNG so a simulation (or a dealt hand) can be replayed from its seed
+export function mulberry32(seed) {
+  let t = seed >>> 0;
+  return () => { t = (t + 0x6D2B79F5) >>> 0; let r = Math.imul(t ^ (t >>> 15), 1 | t); r ^= r + Math.imul(r ^ (r >>> 7), 61 | r); return ((r ^ (r >>> 14)) >>> 0) / 4294967296 };
+}
+
+// Folds several integers (a seed plus replay counters) into one 32-bit seed; unlike adding them,
+// (seed, mulligans) and (seed + 1, mulligans - 1) don't land on the same stream
+export const mixSeed = (...parts) => parts.reduce((h, n) => { h = Math.imul(h ^ (n >>> 0), 0x01000193); return (h ^ (h >>> 15)) >>> 0 }, 0x811C9DC5);
+
+export function shuffle(arr, rng = Math.random) {
+  const a = [...arr];
+  for (let i = a.length - 1; i > 0; i--) { const j = Math.floor(rng() * (i + 1)); [a[i], a[j]] = [a[j], a[i]] }
+  return a;
+}
+
+export const isBasicPokemon = c => c.supertype === "Pokémon" && hasSub(c, "Basic");
+
+// Monte Carlo of "draw 7, mulligan until a Basic, then 6 prizes, then one draw per turn".
+// keys: card names to track in hand/prizes, outs: names where any one counts, turns: how many turns of draws to look at
+export function simulateOpenings(deck, { keys = [], outs = [], turns = 4, trials = 5000, seed = 1 } = {}) {
+  const rng = mulberry32(seed), names = deck.map(copyKey);
+  const res = { mulligan: 0, keys: Object.fromEntries(keys.map(k => [k, { hand: 0, prized: 0, allPrized: 0 }])), outsByTurn: Array(turns + 1).fill(0) };
+  if (!deck.length || !deck.some(isBasicPokemon)) return { ...res, trials: 0 };
+  const idx = deck.map((_, i) => i), total = {};
+  names.forEach(n => { total[n] = (total[n] || 0) + 1 });
+  for (let t = 0; t < trials; t++) {
+    let order = shuffle(idx, rng), mulls = 0;
+    while (!order.slice(0, 7).some(i => isBasicPokemon(deck[i]))) { mulls++; order = shuffle(idx, rng) }
+    if (mulls) res.mulligan++;
+    const hand = order.slice(0, 7).map(i => names[i]), prizes = order.slice(7, 13).map(i => names[i]);
+    keys.forEach(k => {
+      const pr = prizes.filter(n => n === k).length;
+      if (hand.includes(k)) res.keys[k].hand++;
+      if (pr) res.keys[k].prized++;
+      if (pr && pr === total[k]) res.keys[k].allPrized++;
+    });
+    if (outs.length) {
+      // Turn 0 = opening hand; turn N adds N draws (the player going first draws on turn 1 too)
+      let hit = hand.some(n => outs.includes(n)) ? 0 : -1;
+      for (let d = 1; hit === -1 && d <= turns; d++) if (outs.includes(names[order[12 + d]])) hit = d;
+      if (hit !== -1) for (let d = hit; d <= turns; d++) res.outsByTurn[d]++;
+    }
+  }
+  const pct = v => v / trials;
+  return {
+    trials, mulligan: pct(res.mulligan),
+    keys: Object.fromEntries(Object.entries(res.keys).map(([k, v]) => [k, { hand: pct(v.hand), prized: pct(v.prized), allPrized: pct(v.allPrized) }])),
+    outsByTurn: res.outsByTurn.map(pct),
+  };
+}
+
+// ─── Saved decks & versions ─────────────────────────────────────────
+// A saved deck is { id, name, folder, tags, archetype, versions: [{ id, time, note, entries }] }, newest
+// version first. Versions keep [cardId, count] pairs; the card objects are stored separately (the app's card store).
+export const uid = () => Date.now().toString(36) + Math.random().toString(36).slice(2, 7);
+
+export const toEntries = cards => { const m = new Map(); cards.forEach(c => m.set(c.id, (m.get(c.id) || 0) + 1)); return [...m] };
+export const expandEntries = (entries, cardMap) => entries.flatMap(([id, n]) => cardMap.has(id) ? Array(n).fill(cardMap.get(id)) : []);
+export const entryCount = entries => entries.reduce((s, [, n]) => s + n, 0);
+export const sameEntries = (a, b) => JSON.stringify([...a].sort()) === JSON.stringify([...b].sort());
+
+const RULE_BOX = ["ex", "EX", "GX", "V", "VSTAR", "VMAX"];
+
+// The most-played rule-box Pokémon names the deck, else the most-played Pokémon
+export function guessArchetype(cards) {
+  const tally = {};
+  cards.filter(c => c.supertype === "Pokémon").forEach(c => {
+    const k = copyKey(c);
+    if (!tally[k]) tally[k] = { n: 0, box: RULE_BOX.some(s => hasSub(c, s)) };
+    tally[k].n++;
+  });
+  const best = Object.entries(tally).sort((a, b) => (b[1].box - a[1].box) || (b[1].n - a[1].n))[0];
+  return best ? best[0] : "";
+}
+
+// Pre-versioning saves stamped dates with toLocaleString(); Date.parse misses most non-US locales
+function parseLegacyDate(s) {
+  const t = Date.parse(s);
+  if (!isNaN(t)) return t;
+  const m = String(s || "").match(/(\d{1,4})\D+(\d{1,2})\D+(\d{1,4})(?:\D+(\d{1,2})\D+(\d{2}))?/);
+  if (!m) return Date.now();
+  const [y, mo, d] = m[1].length === 4 ? [m[1], m[2], m[3]] : [m[3], m[2], m[1]];
+  const t2 = new Date(+y < 100 ? 2000 + +y : +y, mo - 1, +d, +(m[4] || 0), +(m[5] || 0)).getTime();
+  return isNaN(t2) ? Date.now() : t2;
+}
+
+// Older saves embedded whole card objects — first flat { name, cards, date } entries, then versions
+// with a `cards` array. Returns the compact decks plus the embedded cards so they can move to the card store.
+export function migrateSaved(list) {
+  const cards = new Map();
+  const compact = v => {
+    if (v.entries) return v;
+    const { cards: cs = [], ...rest } = v;
+    cs.forEach(c => cards.set(c.id, c));
+    return { ...rest, entries: toEntries(cs) };
+  };
+  const decks = (Array.isArray(list) ? list : []).filter(d => d && typeof d === "object").map(d => {
+    const versions = d.versions || [{ id: uid(), time: parseLegacyDate(d.date), note: "", cards: d.cards || [] }];
+    return {
+      id: d.id || uid(), name: d.name || "Untitled", folder: d.folder || "", tags: Array.isArray(d.tags) ? d.tags : [],
+      archetype: d.archetype ?? guessArchetype(versions[0]?.cards || []), versions: versions.map(compact),
+    };
+  });
+  return { decks, cards };
+}
+
+// Backups carry the decks plus every card they reference, so a restore works offline
+const BACKUP_KIND = "ptcg-deck-backup";
+
+export const backupJson = (decks, cardMap) => JSON.stringify({
+  kind: BACKUP_KIND, version: 2, exported: new Date().toISOString(), decks,
+  cards: [...new Set(decks.flatMap(d => d.versions.flatMap(v => v.entries.map(([id]) => id))))].map(id => cardMap.get(id)).filter(Boolean),
+}, null, 2);
+
+export function readBackup(json) {
+  if (json?.kind !== BACKUP_KIND || !Array.isArray(json.decks)) throw new Error("Not a deck backup file");
+  const { decks, cards } = migrateSaved(json.decks);
+  (Array.isArray(json.cards) ? json.cards : []).forEach(c => { if (c?.id) cards.set(c.id, c) });
+  return { decks, cards };
+}
+
+// Restoring never drops anything: unknown decks are added, known ones gain missing versions and tags
+export function mergeSaved(current, incoming) {
+  const byId = new Map(current.map(d => [d.id, d]));
+  let added = 0, updated = 0;
+  incoming.forEach(d => {
+    const have = byId.get(d.id);
+    if (!have) { byId.set(d.id, d); added++; return }
+    const known = new Set(have.versions.map(v => v.id)), extra = d.versions.filter(v => !known.has(v.id));
+    const tags = [...new Set([...have.tags, ...d.tags])];
+    if (!extra.length && tags.length === have.tags.length) return;
+    updated++;
+    byId.set(d.id, { ...have, tags, versions: [...have.versions, ...extra].sort((a, b) => b.time - a.time) });
+  });
+  return { decks: [...byId.values()], added, updated };
+}
+
+// Per-section side-by-side rows for two card lists, keyed by card id (name when a card has no id)
+// so a printing swap shows as one copy out and another in rather than "no change"
+export function diffDecks(a, b) {
+  const tally = cards => { const t = {}; cards.forEach(c => { const k = c.id || copyKey(c); if (!t[k]) t[k] = { card: c, n: 0 }; t[k].n++ }); return t };
+  const ta = tally(a), tb = tally(b), out = { "Pokémon": [], "Trainer": [], "Energy": [] };
+  const rows = [...new Set([...Object.keys(ta), ...Object.keys(tb)])].map(k => {
+    const card = (ta[k] || tb[k]).card, from = ta[k]?.n || 0, to = tb[k]?.n || 0;
+    return { key: k, card, name: card.name, set: setCode(card), number: card.number || "", from, to, delta: to - from };
+  });
+  rows.sort((x, y) => x.name.localeCompare(y.name) || x.set.localeCompare(y.set) || x.number.localeCompare(y.number, undefined, { numeric: true }));
+  rows.forEach(r => (out[r.card.supertype] || out["Trainer"]).push(r));
+  return out;
+}
+
+// ─── Exporters ──────────────────────────────────────────────────────
+// Each exporter turns the deck into one file: { label, ext, mime, render(deck, info) }, info = { name, format }
+export const SECTIONS = ["Pokémon", "Trainer", "Energy"];
+const SYM_OF = Object.fromEntries(Object.entries(ENERGY_SYM).map(([k, v]) => [`${v} Energy`, k]));
+
+export function deckSections(deck) {
+  const g = {}; deck.forEach(c => { if (!g[c.id]) g[c.id] = { card: c, count: 0 }; g[c.id].count++ });
+  const sec = { "Pokémon": [], "Trainer": [], "Energy": [] };
+  Object.values(g).forEach(e => (sec[e.card.supertype] || sec["Trainer"]).push(e));
+  return sec;
+}
+
+export const setCode = c => c.set?.ptcgoCode || c.set?.id || "";
+const csvCell = v => /[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v);
+
+// lineKey folds entries that print as the same line (default: one line per card id)
+const textExport = (lineOf, lineKey = c => c.id) => deck => {
+  const sec = deckSections(deck), lines = entries => {
+    const by = new Map();
+    entries.forEach(e => { const k = lineKey(e.card), had = by.get(k); by.set(k, had ? { ...had, count: had.count + e.count } : e) });
+    return [...by.values()];
+  };
+  return SECTIONS.filter(st => sec[st].length)
+    .map(st => `${st}: ${sec[st].reduce((s, e) => s + e.count, 0)}\n${lines(sec[st]).map(e => lineOf(e.card, e.count)).join("\n")}`)
+    .join("\n\n");
+};
+
+export const EXPORTERS = {
+  ptcgl: {
+    label: "PTCG Live", ext: "txt", mime: "text/plain",
+    // Live names basic Energy "Basic {R} Energy" and always wants set code + collector number
+    render: textExport((c, n) => {
+      const sym = isBasicEnergy(c) && SYM_OF[normName(c.name)];
+      return `${n} ${sym ? `Basic {${sym}} Energy` : c.name} ${setCode(c)} ${c.number || ""}`.trim();
+    }),
+  },
+  limitless: {
+    label: "Limitless", ext: "txt", mime: "text/plain",
+    // Limitless resolves basic Energy by name alone, so those lines drop the printing and merge by type
+    render: textExport((c, n) => isBasicEnergy(c) ? `${n} Basic ${normName(c.name)}` : `${n} ${c.name} ${setCode(c)} ${c.number || ""}`.trim(),
+      c => isBasicEnergy(c) ? normName(c.name) : c.id),
+  },
+  json: {
+    label: "JSON", ext: "json", mime: "application/json",
+    render: (deck, info) => JSON.stringify({
+      name: info.name, format: info.format, exported: new Date().toISOString(),
+      cards: SECTIONS.flatMap(st => deckSections(deck)[st].map(({ card: c, count }) => ({ count, id: c.id, name: c.name, set: setCode(c), number: c.number || "", supertype: c.supertype }))),
+    }, null, 2),
+  },
+  csv: {
+    label: "CSV", ext: "csv", mime: "text/csv",
+    render: deck => [["count", "name", "set", "number", "supertype", "id"], ...SECTIONS.flatMap(st => deckSections(deck)[st].map(({ card: c, count }) => [count, c.name, setCode(c), c.number || "", c.supertype, c.id]))]
+      .map(r => r.map(csvCell).join(",")).join("\n"),
+  },
+};
+
+// ─── Collection ─────────────────────────────────────────────────────
+// Owned cards keyed by card id: { [id]: { qty, name, set, number } }. The name and printing
+// ride along so name matching, CSV export and shopping lists work without a card lookup.
+export const collectionEntry = (c, qty) => ({ qty, name: c.name, set: setCode(c), number: c.number || "" });
+
+function parseCsv(text) {
+  const rows = [];
+  let row = [], cell = "", quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++ }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") { row.push(cell); cell = "" }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell); rows.push(row); row = []; cell = "";
+    } else cell += ch;
+  }
+  if (cell || row.length) { row.push(cell); rows.push(row) }
+  return rows.filter(r => r.some(v => v.trim()));
+}
+
+const COLLECTION_COLS = ["id", "name", "set", "number", "qty"];
+
+export const collectionCsv = coll => [COLLECTION_COLS.join(","),
+  ...Object.entries(coll).sort((a, b) => a[1].name.localeCompare(b[1].name)).map(([id, e]) => [id, e.name, e.set, e.number, e.qty].map(csvCell).join(","))].join("\n");
+
+// Needs an id and a qty/quantity/count column; name/set/number are optional and filled in later
+export function collectionFromCsv(text) {
+  const [head, ...rows] = parseCsv(text);
+  if (!head) throw new Error("The file is empty");
+  const cols = head.map(h => h.trim().toLowerCase());
+  const col = (...names) => cols.findIndex(h => names.includes(h));
+  const iId = col("id", "card id"), iQty = col("qty", "quantity", "count", "owned");
+  if (iId < 0 || iQty < 0) throw new Error('Expected a header row with "id" and "qty" columns');
+  const iName = col("name"), iSet = col("set"), iNum = col("number");
+  const entries = [], errors = [];
+  rows.forEach((r, i) => {
+    const id = (r[iId] || "").trim(), qty = Number((r[iQty] || "").trim());
+    if (!id || !Number.isInteger(qty) || qty < 0) { errors.push(`Row ${i + 2}: ${!id ? "missing id" : `bad quantity "${r[iQty]}"`}`); return }
+    entries.push({ id, qty, name: iName >= 0 ? (r[iName] || "").trim() : "", set: iSet >= 0 ? (r[iSet] || "").trim() : "", number: iNum >= 0 ? (r[iNum] || "").trim() : "" });
+  });
+  return { entries, errors };
+}
+
+// Owned vs required for a list of { id?, name, set?, number?, count }. Entries without an id
+// (meta lists) and anyPrinting mode both match on the copy-limit name instead of the id.
+export function collectionReport(required, coll, anyPrinting) {
+  const byName = {};
+  Object.values(coll).forEach(e => { const k = copyKey(e); byName[k] = (byName[k] || 0) + e.qty });
+  const rows = {};
+  required.forEach(r => {
+    const named = anyPrinting || !r.id, k = named ? `n:${copyKey(r)}` : r.id;
+    if (!rows[k]) rows[k] = { ...r, need: 0, own: named ? byName[copyKey(r)] || 0 : coll[r.id]?.qty || 0 };
+    rows[k].need += r.count;
+  });
+  const list = Object.values(rows).map(r => ({ ...r, missing: Math.max(0, r.need - r.own) }));
+  const need = list.reduce((s, r) => s + r.need, 0), missing = list.reduce((s, r) => s + r.missing, 0);
+  return { rows: list, need, owned: need - missing, missing };
+}
+
+export const deckRequirements = deck => Object.values(deckSections(deck)).flat()
+  .map(({ card, count }) => ({ id: card.id, name: card.name, set: setCode(card), number: card.number || "", count }));
+
+export const metaRequirements = m => [...m.pokemon, ...m.trainers, ...m.energy].map(e => ({ name: e.name, count: e.count }));
+
+export const shoppingList = (title, rows) => [`Missing for ${title}`, "",
+  ...rows.filter(r => r.missing > 0).map(r => `${r.missing} ${r.name}${r.id ? ` ${r.set} ${r.number}`.trimEnd() : ""}`)].join("\n");
+
+// ─── Share links ────────────────────────────────────────────────────
+// #deck=<version>;<name>;<set>:<number>[*count],<number>...;<set>:...
+// Card ids are "<set>-<number>", so printings from the same set share one group. Bump SHARE_VERSION
+// (and keep decoding the old one) if the layout ever changes.
+export const SHARE_VERSION = 1;
+
+export function encodeShare(name, deck) {
+  const counts = {}; deck.forEach(c => { counts[c.id] = (counts[c.id] || 0) + 1 });
+  const sets = {};
+  Object.entries(counts).forEach(([id, n]) => {
+    const cut = id.lastIndexOf("-"), set = id.slice(0, cut), num = id.slice(cut + 1);
+    (sets[set] = sets[set] || []).push(n > 1 ? `${num}*${n}` : num);
+  });
+  const groups = Object.entries(sets).map(([set, nums]) => `${set}:${nums.join(",")}`);
+  return `deck=${SHARE_VERSION};${encodeURIComponent(name)};${groups.join(";")}`;
+}
+
+// → { version, name, entries: [{ id, count }] }, or throws with a message fit for the user
+export function decodeShare(hash) {
+  const m = hash.replace(/^#/, "").match(/(?:^|&)deck=([^&]*)/);
+  if (!m) return null;
+  const [ver, name, ...groups] = m[1].split(";");
+  const version = parseInt(ver);
+  if (version !== SHARE_VERSION) throw new Error(`This link uses deck link format v${ver}; this app reads v${SHARE_VERSION}.`);
+  const entries = [];
+  groups.filter(Boolean).forEach(g => {
+    const [set, nums] = g.split(":");
+    if (!set || !nums) throw new Error("This deck link is damaged.");
+    nums.split(",").forEach(t => {
+      const [num, n] = t.split("*");
+      entries.push({ id: `${set}-${num}`, count: parseInt(n || "1") || 1 });
+    });
+  });
+  let deckName;
+  try { deckName = decodeURIComponent(name || "") } catch { deckName = "" }
+  return { version, name: deckName || "Shared Deck", entries };
+}
+
+// ─── Meta lists ─────────────────────────────────────────────────────
+const isEntryList = v => Array.isArray(v) && v.every(e => e && typeof e.name === "string" && e.name.trim() && Number.isInteger(e.count) && e.count > 0);
+
+// Keeps the well-formed archetypes and describes every entry it had to drop
+export function validateMeta(json) {
+  if (!json || typeof json !== "object" || !Array.isArray(json.archetypes)) throw new Error("Meta file has no \"archetypes\" list");
+  const archetypes = [], errors = [];
+  json.archetypes.forEach((m, i) => {
+    const label = typeof m?.name === "string" && m.name ? `"${m.name}"` : `Entry ${i + 1}`;
+    const problems = [];
+    if (typeof m?.name !== "string" || !m.name.trim()) problems.push("missing name");
+    if (typeof m?.tier !== "string") problems.push("missing tier");
+    if (typeof m?.type !== "string" || !POKEMON_TYPES.includes(m.type)) problems.push(`unknown type "${m?.type}"`);
+    ["pokemon", "trainers", "energy"].forEach(k => { if (!isEntryList(m?.[k])) problems.push(`"${k}" must be a list of { name, count }`) });
+    if (problems.length) errors.push(`${label}: ${problems.join(", ")}`);
+    else archetypes.push({ ...m, desc: m.desc || "", tips: m.tips || "" });
+  });
+  return { lastUpdated: typeof json.lastUpdated === "string" ? json.lastUpdated : null, archetypes, errors };
+}
+
+// ─── Matchups ───────────────────────────────────────────────────────
+// Both sides are [{ card, count }] Pokémon entries. Damage is the printed base ("120+" → 120, "30×" → 30),
+// so coin flips, bench spread and "more damage for each..." effects are not counted.
+export const baseDamage = at => parseInt(at.damage) || 0;
+
+// Weakness as printed ("×2", or "+20" on older cards), then resistance ("-30")
+export function damageAgainst(dmg, attacker, target) {
+  if (!dmg) return 0;
+  const types = attacker.types || [];
+  const weak = (target.weaknesses || []).find(w => types.includes(w.type));
+  const res = (target.resistances || []).find(r => types.includes(r.type));
+  if (weak) dmg = weak.value.includes("+") ? dmg + (parseInt(weak.value.replace(/\D/g, "")) || 0) : dmg * (parseInt(weak.value.replace(/\D/g, "")) || 2);
+  if (res) dmg += parseInt(res.value) || -30;
+  return Math.max(0, dmg);
+}
+
+const isAttacker = c => c.supertype === "Pokémon" && (c.attacks || []).some(baseDamage);
+const isWeakTo = (target, attacker) => (target.weaknesses || []).some(w => (attacker.types || []).includes(w.type));
+
+// The Pokémon a side is built around: its most-played rule-box Pokémon, else its most-played Pokémon
+function keyPokemon(entries) {
+  const pk = entries.filter(e => e.card.supertype === "Pokémon" && parseInt(e.card.hp));
+  const box = pk.filter(e => RULE_BOX.some(s => hasSub(e.card, s)));
+  return [...(box.length ? box : pk)].sort((a, b) => b.count - a.count).slice(0, 3);
+}
+
+// For each target, which attacks take it in one hit and which need two
+function breakpoints(attackers, targets) {
+  return targets.map(({ card: t }) => {
+    const hp = parseInt(t.hp), one = [], two = [];
+    attackers.forEach(({ card: a }) => a.attacks.forEach(at => {
+      const dmg = damageAgainst(baseDamage(at), a, t), label = `${a.name} · ${at.name} (${dmg})`;
+      if (dmg >= hp) one.push(label); else if (dmg * 2 >= hp) two.push(label);
+    }));
+    return { name: t.name, hp, one: [...new Set(one)], two: [...new Set(two)] };
+  });
+}
+
+// Share of targets that something takes in one hit (full credit) or two (half credit)
+const reachScore = rows => rows.length ? rows.reduce((s, r) => s + (r.one.length ? 1 : r.two.length ? 0.5 : 0), 0) / rows.length : 0;
+
+export function matchupReport(ours, theirs) {
+  const ourAtk = ours.filter(e => isAttacker(e.card)), theirAtk = theirs.filter(e => isAttacker(e.card));
+  const ourKey = keyPokemon(ours), theirKey = keyPokemon(theirs);
+  const hitsWeakness = ourAtk
+    .map(a => ({ name: a.card.name, targets: theirKey.filter(k => isWeakTo(k.card, a.card)).map(k => k.card.name) }))
+    .filter(r => r.targets.length);
+  const weakTo = ourKey
+    .map(k => ({ name: k.card.name, attackers: theirAtk.filter(a => isWeakTo(k.card, a.card)).map(a => a.card.name) }))
+    .filter(r => r.attackers.length);
+  const offense = breakpoints(ourAtk, theirKey), defense = breakpoints(theirAtk, ourKey);
+  const score = reachScore(offense) - reachScore(defense) + (hitsWeakness.length ? 0.25 : 0) - (weakTo.length ? 0.25 : 0);
+  const rating = !ourAtk.length ? "unknown" : score >= 0.25 ? "favourable" : score <= -0.25 ? "unfavourable" : "even";
+  return { rating, score, hitsWeakness, weakTo, offense, defense };
+}
+
+// ─── Damage calculator ──────────────────────────────────────────────
+// Prizes the opponent takes for a Knock Out
+export const prizeValue = c =>
+  hasSub(c, "VMAX") || hasSub(c, "TAG TEAM") || (hasSub(c, "MEGA") && hasSub(c, "ex")) ? 3
+    : RULE_BOX.some(s => hasSub(c, s)) ? 2 : 1;
+
+// "130+" / "70×" attacks scale with something named in their text: "30 more damage for each...", "70 damage for each..."
+export function attackScaling(at) {
+  const kind = /×|x$/.test(at.damage || "") ? "×" : /\+$/.test(at.damage || "") ? "+" : null;
+  if (!kind) return null;
+  const m = (at.text || "").match(/(\d+) (?:more )?damage (for each [^.,]+)/i);
+  return { kind, per: m ? +m[1] : baseDamage(at), unit: m ? m[2] : kind === "×" ? "for each" : "extra damage" };
+}
+
+// Damage counters an attack also places (Phantom Dive's 6 on the Bench) — never affected by weakness or resistance
+export const spreadCounters = at => +((at.text || "").match(/put (\d+) damage counters/i)?.[1] || 0);
+
+// Order of play: the printed damage and attacker-side effects (units, Maximum Belt, other bonuses), then weakness
+// and resistance, then effects on the defending Pokémon (reduction). `counters` are damage counters already on it.
+export function calcDamage({ attacker, attack, target, units = 0, bonus = 0, belt = false, reduction = 0, counters = 0, bench = null, benchCounters = 0 }) {
+  const sc = attackScaling(attack), base = baseDamage(attack);
+  let raw = sc?.kind === "×" ? sc.per * units : base + (sc?.kind === "+" ? sc.per * units : 0);
+  const beltOn = belt && hasSub(target, "ex");
+  if (raw > 0) raw += bonus + (beltOn ? 50 : 0);
+  const types = attacker.types || [];
+  const weakness = (target.weaknesses || []).find(w => types.includes(w.type)) || null;
+  const resistance = (target.resistances || []).find(r => types.includes(r.type)) || null;
+  const dealt = Math.max(0, damageAgainst(raw, attacker, target) - reduction);
+  const hp = parseInt(target.hp) || 0, remaining = Math.max(0, hp - counters * 10);
+  const ko = dealt > 0 && dealt >= remaining;
+  const spread = spreadCounters(attack);
+  const benchLeft = bench ? Math.max(0, (parseInt(bench.hp) || 0) - benchCounters * 10) : 0;
+  const benchKo = !!bench && spread > 0 && spread * 10 >= benchLeft;
+  return {
+    raw, dealt, hp, remaining, left: Math.max(0, remaining - dealt), ko, beltOn, weakness, resistance,
+    hitsToKo: dealt ? Math.ceil(remaining / dealt) : Infinity,
+    prizes: (ko ? prizeValue(target) : 0) + (benchKo ? prizeValue(bench) : 0),
+    spread, benchLeft, benchKo,
+  };
+}
+
+// ─── Rotation ───────────────────────────────────────────────────────
+// Standard is a window of regulation marks; a rotation preview drops the marks given in `rotating`.
+// Basic Energy never rotates. Cards without a mark predate the system and are already outside Standard.
+export const rotatesOut = (c, rotating) => !isBasicEnergy(c) && !!c.regulationMark && rotating.includes(c.regulationMark);
+
+// Interchangeable for deck building: same name, and for Pokémon the same HP, attacks and abilities
+const textKey = c => JSON.stringify([c.hp, (c.attacks || []).map(a => [a.name, a.damage]), (c.abilities || []).map(a => a.name)]);
+export const isReprintOf = (a, b) => a.id !== b.id && copyKey(a) === copyKey(b) && (a.supertype !== "Pokémon" || textKey(a) === textKey(b));
+
+// printings: nameKey → every printing of that name (see resolver.byNames). A reprint qualifies when it is
+// Standard-legal today and its mark survives the rotation.
+export function rotationReport(deck, rotating, printings = new Map()) {
+  const out = new Map();
+  deck.filter(c => rotatesOut(c, rotating)).forEach(c => {
+    if (!out.has(c.id)) {
+      const reprints = (printings.get(nameKey(c.name)) || [])
+        .filter(p => isReprintOf(p, c) && p.regulationMark && !rotating.includes(p.regulationMark) && p.legalities?.standard === "Legal");
+      out.set(c.id, { card: c, count: 0, reprints: [...new Map(reprints.map(p => [p.id, p])).values()].sort(byNewest) });
+    }
+    out.get(c.id).count++;
+  });
+  const rows = [...out.values()].sort((x, y) => (x.reprints.length > 0) - (y.reprints.length > 0) || y.count - x.count);
+  const lost = rows.reduce((s, r) => s + r.count, 0), fixable = rows.filter(r => r.reprints.length).reduce((s, r) => s + r.count, 0);
+  return { rows, lost, fixable, remaining: deck.length - lost };
+}
+
+// ─── Game log ───────────────────────────────────────────────────────
+// A game is { id, deckId, versionId, time, opponent, turn: "first" | "second", result: "W" | "L" | "T", prizes, notes }.
+// Win rate counts a tie as half a win.
+export const GAME_RESULTS = { W: "Win", L: "Loss", T: "Tie" };
+
+export function record(games) {
+  const r = { games: games.length, W: 0, L: 0, T: 0 };
+  games.forEach(g => { r[g.result]++ });
+  return { ...r, rate: r.games ? (r.W + r.T / 2) / r.games : 0 };
+}
+
+const groupRecords = (games, keyOf) => {
+  const g = new Map();
+  games.forEach(x => { const k = keyOf(x); if (!g.has(k)) g.set(k, []); g.get(k).push(x) });
+  return [...g].map(([key, gs]) => ({ key, ...record(gs) }));
+};
+
+// ISO-style week start (Monday) as YYYY-MM-DD, in local time
+const weekOf = t => {
+  const d = new Date(t); d.setHours(0, 0, 0, 0); d.setDate(d.getDate() - (d.getDay() + 6) % 7);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+};
+
+// deck: the saved deck the games belong to; versions are listed newest first like deck.versions
+export function gameStats(games, deck) {
+  const vLabel = id => { const i = deck?.versions.findIndex(v => v.id === id) ?? -1; return i === -1 ? "Deleted version" : `v${deck.versions.length - i}` };
+  return {
+    overall: record(games),
+    byTurn: { first: record(games.filter(g => g.turn === "first")), second: record(games.filter(g => g.turn === "second")) },
+    byOpponent: groupRecords(games, g => g.opponent || "Unknown").sort((x, y) => y.games - x.games || x.key.localeCompare(y.key)),
+    byVersion: groupRecords(games, g => g.versionId).map(r => ({ ...r, label: vLabel(r.key) })).sort((x, y) => y.label.localeCompare(x.label, undefined, { numeric: true })),
+    byWeek: groupRecords(games, g => weekOf(g.time)).sort((x, y) => x.key.localeCompare(y.key)),
+    avgPrizes: games.length ? games.reduce((s, g) => s + (g.prizes || 0), 0) / games.length : 0,
+  };
+}
+
+export function gamesCsv(games, decks) {
+  const byId = new Map(decks.map(d => [d.id, d]));
+  const rows = [...games].sort((x, y) => x.time - y.time).map(g => {
+    const d = byId.get(g.deckId), vi = d ? d.versions.findIndex(v => v.id === g.versionId) : -1;
+    return [new Date(g.time).toISOString(), d?.name || "", vi === -1 ? "" : `v${d.versions.length - vi}`, g.opponent, g.turn, GAME_RESULTS[g.result], g.prizes, g.notes || ""];
+  });
+  return [["date", "deck", "version", "opponent", "turn", "result", "prizes_taken", "notes"], ...rows].map(r => r.map(csvCell).join(",")).join("\n");
+}
@@ -0,0 +1,84 @@
+// Service worker — built by the serviceWorker() plugin in vite.config.js,
+// which fills in the precache list and version below.
+const VERSION = "__VERSION__";
+const PRECACHE = __PRECACHE__;
+const SHELL = `pokedeck-shell-${VERSION}`;
+const API_CACHE = "pokedeck-api";
+const IMG_CACHE = "pokedeck-images";
+const MAX_IMAGES = 600, MAX_API = 300;
+
+self.addEventListener("install", e => {
+  e.waitUntil(caches.open(SHELL).then(c => c.addAll(PRECACHE)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", e => {
+  e.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k.startsWith("pokedeck-shell-") && k !== SHELL).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Drop the oldest entries once a runtime cache grows past its limit
+async function trim(name, max) {
+  const c = await caches.open(name), keys = await c.keys();
+  for (let i = 0; i < keys.length - max; i++) await c.delete(keys[i]);
+}
+
+// Make room, then store. Opaque responses count as several MB each against the quota, so a put can
+// still fail when storage is tight — the response is served either way, just not kept.
+async function keep(c, name, max, request, res) {
+  try {
+    await trim(name, max - 1);
+    await c.put(request, res);
+  } catch (err) {
+    console.warn(`Not caching ${request.url}:`, err);
+  }
+}
+
+// Serve from cache straight away, refresh the entry in the background
+async function staleWhileRevalidate(e, name, max) {
+  const c = await caches.open(name);
+  const cached = await c.match(e.request);
+  const network = fetch(e.request).then(res => {
+    // Cross-origin images without CORS come back opaque (status 0) — still worth keeping
+    if (res.ok || res.type === "opaque") keep(c, name, max, e.request, res.clone());
+    return res;
+  });
+  if (cached) { e.waitUntil(network.catch(() => {})); return cached }
+  return network;
+}
+
+// Fetch and refresh the cached copy; the cache only answers when the network can't
+async function networkFirst(e, name, max) {
+  const c = await caches.open(name);
+  try {
+    const res = await fetch(e.request);
+    if (res.ok) e.waitUntil(keep(c, name, max, e.request, res.clone()));
+    return res;
+  } catch (err) {
+    const cached = await c.match(e.request);
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+self.addEventListener("fetch", e => {
+  const { request } = e;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+
+  if (url.origin === self.location.origin && /^\/meta(\.json$|\/)/.test(url.pathname)) {
+    // Meta snapshots change with each deploy — a cached copy would show up one load late
+    e.respondWith(networkFirst(e, API_CACHE, MAX_API));
+  } else if (url.pathname.startsWith("/ptcg-api/") || url.hostname === "api.pokemontcg.io") {
+    e.respondWith(staleWhileRevalidate(e, API_CACHE, MAX_API));
+  } else if (url.hostname === "images.pokemontcg.io") {
+    e.respondWith(staleWhileRevalidate(e, IMG_CACHE, MAX_IMAGES));
+  } else if (request.mode === "navigate") {
+    // App shell: network first so deploys show up, cached index.html when offline
+    e.respondWith(fetch(request).catch(() => caches.match("/index.html", { cacheName: SHELL })));
+  } else if (url.origin === self.location.origin) {
+    e.respondWith(caches.match(request).then(hit => hit || fetch(request)));
+  }
+});
@@ -0,0 +1,10 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { EXPORTERS } from "../src/deckkit.js";
+
+const fire = (id, number, ptcgoCode) => ({ id, name: "Fire Energy", supertype: "Energy", subtypes: ["Basic"], number, set: { id: id.split("-")[0], ptcgoCode } });
+
+test("limitless merges printings of a basic Energy into one line", () => {
+  const deck = [...Array(6).fill(fire("sve-2", "2", "SVE")), ...Array(4).fill(fire("base1-98", "98", "BS"))];
+  assert.equal(EXPORTERS.limitless.render(deck, {}), "Energy: 10\n10 Basic Fire Energy");
+});
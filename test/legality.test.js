@@ -0,0 +1,22 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseDeckList, resolveList, localSource, validateDeck, FORMATS } from "../src/deckkit.js";
+
+const pikachu = { id: "sv1-1", name: "Pikachu", supertype: "Pokémon", subtypes: ["Basic"], number: "1", set: { id: "sv1", name: "Scarlet & Violet", ptcgoCode: "SVI" }, legalities: { standard: "Legal", unlimited: "Legal" }, regulationMark: "G" };
+const baseFire = { id: "base1-98", name: "Fire Energy", supertype: "Energy", subtypes: ["Basic"], number: "98", set: { id: "base1", name: "Base", ptcgoCode: "BS" }, legalities: { unlimited: "Legal" } };
+const baseBill = { id: "base1-91", name: "Bill", supertype: "Trainer", subtypes: ["Item"], number: "91", set: { id: "base1", name: "Base", ptcgoCode: "BS" }, legalities: { unlimited: "Legal" } };
+
+const legality = async text => {
+  const report = await resolveList(parseDeckList(text), localSource([pikachu, baseFire, baseBill]));
+  const deck = report.flatMap(r => Array(r.count).fill(r.card));
+  return validateDeck(deck, FORMATS.standard).filter(v => v.rule === "legality");
+};
+
+test("an old basic Energy printing is legal in Standard", async () => {
+  assert.deepEqual(await legality("4 Pikachu SVI 1\n4 Fire Energy BS 98"), []);
+});
+
+test("other cards from rotated sets are still flagged", async () => {
+  const v = await legality("4 Pikachu SVI 1\n4 Bill BS 91\n4 Fire Energy BS 98");
+  assert.deepEqual(v.map(x => x.cardIds), [["base1-91"]]);
+});